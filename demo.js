@@ -1,5 +1,5 @@
 /**
- * Scan for the first controller found, and inspect it, then monitor status changes
+ * Find a dongle, inspect the controller attached to it, then monitor status changes
  *
  */
 
@@ -20,11 +20,23 @@ try {
 }
 
 // An object type that represents the remote (periperal) Bluetooth device
-const { Dongle, serviceId } = require('./lib/Dongle');
+const { Dongle } = require('./lib/Dongle');
 
 // An object type that represents a single motor controller device
 const MotorController = require('./lib/MotorController');
 
+// Finds the dongle to use
+const DongleScanner = require('./lib/DongleScanner');
+
+// The command line options shared with the other scripts
+const CommandLine = require('./lib/CommandLine');
+
+// Logs the watched values to files
+const TelemetryRecorder = require('./lib/TelemetryRecorder');
+
+// Logs the frames exchanged with the dongle
+const ProtocolTrace = require('./lib/ProtocolTrace');
+
 // command-line options will be available in the args variable
 let args = require('minimist')(process.argv.slice(2));
 
@@ -34,14 +46,20 @@ const error = chalk.bold.red;
 const label = chalk.blue;
 
 // For certain types of dongles, there can be more than one controller
-// connected to them (eg when using CANBUS).  For now, we just
-// deal with one controller, using the ID defined here
+// connected to them (eg when using CANBUS).  In CAN mode the controllers are
+// discovered when we connect; otherwise there is just one, using the ID defined here
 const CONTROLLER_ID = 1;
 
-let dongleConfig = parseCommandLine();
+// The controllers we talk to; the first one is used for the watcher demo
+let controllers = [];
+
+let dongleConfig = CommandLine.dongleConfig(args);
 
 let dongleInfo;
 
+// things to finish (files to close) before we exit
+let finishers = [];
+
 // returns a string with prepended zeros to the requested length
 function zeroPad(number, length) {
   var pad = new Array(length + 1).join('0');
@@ -90,44 +108,22 @@ if (args.h || args.help) {
 
   console.info(chalk.underline('\rOptions\r'));
   console.info('    -h           This help output\r');
-  console.info('    --mode       Operating mode [i2c|can]\r');
-
-  console.info('    --mode       Operating mode [i2c|can]\r');
+  console.info('    --mac        Use the dongle with this MAC address\r');
+  console.info('    --name       Use a dongle whose name contains this\r');
+  console.info('    --rssi       Ignore dongles weaker than this (dBm, eg --rssi=-70)\r');
+  console.info('    --choose     List the dongles found, and choose one\r');
+  console.info('    --scantime   How long to scan for, in ms (default: 5000)\r');
+  console.info('    --mode       Operating mode [i2c|can|boot]\r');
+  console.info('    --record     Directory to record the watched values in\r');
+  console.info('    --format     Recording format [ndjson|csv] (default: ndjson)\r');
+  console.info('    --trace      File to record a protocol trace in (see trace-view)\r');
   console.info(chalk.bold('For --mode=can'));
   console.info('    --canrate    Bus speed [250000|500000|1000000]\r');
+  console.info('    --myid       Our node ID on the bus [1-254]\r');
 
   process.exit(0);
 }
 
-// parse the command line arguments and set up the dongle configuration
-// returns an object suitable for sending to the dongle.configuration method
-function parseCommandLine() {
-
-  let result = {};
-
-  switch (args.mode) {
-    case 'can':
-      result.mode = 'can';
-      result.modeOptions = {
-        baud: args.canrate || 500000,
-        myId: args.myid || 0xFE
-      };
-      break;
-
-    case 'boot':
-      result.mode = 'boot';
-      break;
-
-    case 'i2c':
-    default:
-      result.mode = 'i2c';
-      break;
-
-  }
-
-  return result;
-}
-
 // Connect, configure, and get relevant info from the dongle
 async function connect(dongle) {
 
@@ -156,8 +152,25 @@ async function connect(dongle) {
     // Turn power on to the controller
     await dongle.keyswitch(true);
 
+    // Find out which controllers are out there
+    if ('can' === dongleConfig.mode) {
+      console.log(label('Discovering controllers... '));
+      controllers = await dongle.discoverControllers();
+
+      controllers.forEach((mc) => {
+        console.log(label('    Node ' + mc.id + '      :'),
+          'product', mc.identity.product, 'version', mc.identity.version);
+      });
+
+      if (controllers.length === 0) {
+        throw new Error('No controllers found on the bus');
+      }
+    } else {
+      controllers = [new MotorController(CONTROLLER_ID, dongle)];
+    }
+
     // retrieve our cloud access key
-    if (dongleInfo && parseFloat(dongleInfo.softwareRevision) >= 1.8) {
+    if (dongle.supports('accessKey')) {
       console.log(label('Reading access key... '));
       let cloudAccessKey = await dongle.readAccessKey();
 
@@ -185,6 +198,8 @@ async function connect(dongle) {
  */
 async function setCs1108Watchers(dongle) {
 
+  const controllerId = controllers[0].id;
+
   console.log(label('Initializing watchers'));
 
   await dongle.unwatchAll();
@@ -192,7 +207,7 @@ async function setCs1108Watchers(dongle) {
   // Watcher slot 0 looks for changes in the Charge Mode RAM variable
   // You'll get a callback with the current value, and then another
   // callback whenever the value changes
-  await dongle.watch(0, CONTROLLER_ID, 0x005F, (value) => {
+  await dongle.watch(0, controllerId, 0x005F, (value) => {
     console.log(label('Charge Mode: '), value);
 
     // If you just wanted to read something once, you wouldn't do this
@@ -203,49 +218,46 @@ async function setCs1108Watchers(dongle) {
   });
 
   // Watcher slot 1 looks for changes in the Fault Code RAM variable
-  await dongle.watch(1, CONTROLLER_ID, 0x0038, (value) => {
+  await dongle.watch(1, controllerId, 0x0038, (value) => {
     console.log(label('Fault Code: '), value);
   });
 
-  // Watcher slot 2 looks for changes in the 16-bit voltage reading
-  await dongle.watch(2, CONTROLLER_ID, 0x0064, 2, (value) => {
-    console.log(label('Voltage: '), value);
+  // Watcher slot 2 looks for changes in the 16-bit voltage reading.
+  // Giving a data type instead of a length gets us the decoded number
+  await dongle.watch(2, controllerId, 0x0064, { width: 2, endian: 'big' }, (value, slot, raw) => {
+    console.log(label('Voltage: '), value, raw);
   });
 
   // Watcher slot 3 looks for changes in the PWM status
-  await dongle.watch(3, CONTROLLER_ID, 0x002E, 1, (value) => {
+  await dongle.watch(3, controllerId, 0x002E, 1, (value) => {
     console.log(label('PWM3: '), value);
   });
 
   // Put in more watchers, up to the limit
-  await dongle.watch(4, CONTROLLER_ID, 0x0065, 1, (value) => {
+  await dongle.watch(4, controllerId, 0x0065, 1, (value) => {
     console.log(label('PWM4: '), value);
   });
-  await dongle.watch(5, CONTROLLER_ID, 0x002E, 1, (value) => {
-    console.log(label('PWM5: '), value);
-  });
-  await dongle.watch(6, CONTROLLER_ID, 0x002E, 1, (value) => {
-    console.log(label('PWM6: '), value);
-  });
-  await dongle.watch(7, CONTROLLER_ID, 0x002E, 1, (value) => {
-    console.log(label('PWM7: '), value);
-  });
-  await dongle.watch(8, CONTROLLER_ID, 0x002E, 1, (value) => {
-    console.log(label('PWM8: '), value);
-  });
-  await dongle.watch(9, CONTROLLER_ID, 0x0065, 1, (value) => {
+  await dongle.watch(9, controllerId, 0x0065, 1, (value) => {
     console.log(label('PWM9: '), value);
   });
 
+  // Or let the dongle pick the slot.  All of these watch the same location,
+  // so they share one slot.  Call close() on the handle to stop watching.
+  for (let i = 5; i <= 8; i++) {
+    await dongle.addWatch(controllerId, 0x002E, 1, (value, slot) => {
+      console.log(label('PWM' + i + ' (slot ' + slot + '): '), value);
+    });
+  }
+
   // Add superwatcher - up to 25 addresses
-  if (dongleInfo && parseFloat(dongleInfo.softwareRevision) >= 1.5) {
+  if (dongle.supports('superwatch')) {
     let superWatcherMembers = [0x0005, 0x0006, 0x0007, 0x0008, 0x0009,
                                0x000A, 0x000B, 0x000C, 0x000D, 0x000E,
                                0x000F, 0x0010, 0x0011, 0x0012, 0x0013,
                                0x0014, 0x0015, 0x0016, 0x0017, 0x0018,
                                0x0019, 0x001A, 0x001B, 0x001C, 0x001D];
 
-    await dongle.superwatch(CONTROLLER_ID, superWatcherMembers, (value) => {
+    await dongle.superwatch(controllerId, superWatcherMembers, (value) => {
       console.log(label('SuperWatcher: '), value);
     });
   }
@@ -257,17 +269,17 @@ async function setCs1108Watchers(dongle) {
   // await dongle.unwatch(0xFF);
 
   // Method 2 of clearing the super-watcher
-  // await dongle.superwatch(CONTROLLER_ID, [], (value) => {
+  // await dongle.superwatch(controllerId, [], (value) => {
   //   console.log(label('SuperWatcher: '), value);
   // });
 
   // Re-setting the super-watcher
-  // await dongle.superwatch(CONTROLLER_ID, [0x0064, 0x0065], (value) => {
+  // await dongle.superwatch(controllerId, [0x0064, 0x0065], (value) => {
   //   console.log(label('SuperWatcher: '), value);
   // });
 
   // Read back watcher configuration
-  if (dongleInfo && parseFloat(dongleInfo.softwareRevision) >= 1.4) {
+  if (dongle.supports('getWatchers')) {
     dongle.getWatchers().then((watchers) => {
       console.log(label("Watchers:"), watchers);
     });
@@ -289,8 +301,7 @@ async function setCs1108Watchers(dongle) {
  */
 async function Cs1108MemoryTest(dongle) {
 
-  // Currently the one and only CS1108 is addressed as device '1'
-  let mc = new MotorController(CONTROLLER_ID, dongle);
+  let mc = controllers[0];
 
   // write '1' to bank 3(EEPROM) offset 0x00
   console.log(label('Writing EEPROM address 0'));
@@ -310,7 +321,7 @@ async function Cs1108MemoryTest(dongle) {
   console.log(label('Writing memory... '));
   await mc.writeMemory(0x0300, Buffer.from([data[0]]));
 
-  if (dongleInfo && parseFloat(dongleInfo.softwareRevision) >= 1.6) {
+  if (dongle.supports('writeMemoryVerify')) {
     // Read some memory, then write it back, this time using the 'write memory verify' commad.
     // The dongle will write the memory on the controller like before, but behind the scenes
     // it'll read it back to verify the write was successful.
@@ -326,58 +337,95 @@ async function Cs1108MemoryTest(dongle) {
 
 }
 
-// Wait for the bluetooth hardware to become ready
-ble.once('stateChange', function(state) {
+/**
+ * Records the watched values to files, if asked to on the command line
+ *
+ * @param      {Dongle}   dongle  The dongle
+ * @return     {Promise}  resolves when recording has started
+ */
+async function startRecording(dongle) {
 
-  if (state === 'poweredOff') {
-    console.error(error('Bluetooth must be turned on before you run this example'));
-    process.exit(1);
-  } else if (state === 'poweredOn') {
+  if (!args.record) {
+    return;
+  }
 
-    let dongleConfig = parseCommandLine();
+  let recorder = new TelemetryRecorder(dongle, {
+    dir: args.record,
+    format: args.format || 'ndjson',
+  });
 
-    // Catch any 'discover' events which are emitted when a new dongle is detected
-    ble.on('discover', function(peripheral) {
+  recorder.on('file', (file) => console.log(label('Recording to '), file));
+  recorder.on('error', (err) => console.error(error('Recording failed: '), err.message));
 
-      // stop after the first found
-      ble.stopScanning();
+  await recorder.start();
 
-      console.log(label('Found ') + peripheral.advertisement.localName, label('MAC: ') + peripheral.address);
+  finishers.push(() => recorder.stop());
+}
 
-      console.log(label('Connecting... '));
+/**
+ * Records a protocol trace, if asked to on the command line
+ *
+ * @param      {Dongle}  dongle  The dongle
+ */
+function startTrace(dongle) {
 
-      // Create an object to manage the discovered peripheral
-      var dongle = new Dongle(peripheral, {
-        verbose: true,
-      });
+  if (!args.trace) {
+    return;
+  }
 
+  let trace = new ProtocolTrace(dongle, { file: args.trace });
 
-      dongle.on('status', function(slot, status) {
-        console.log('STATUS: ', slot, status);
-      });
+  trace.on('error', (err) => console.error(error('Trace failed: '), err.message));
 
-      connect(dongle)
-      .then(() => Cs1108MemoryTest(dongle))
-      .then(() => setCs1108Watchers(dongle))
-      .catch((err) => {
-        console.log(err);
-        console.error(err.message);
-        dongle.disconnect();
-        process.exit(1);
-      });
+  console.log(label('Tracing to '), args.trace);
 
-    });
+  trace.start();
 
-    // Capture the event that is emitted when bluetooth goes into scanning mode
-    ble.on('scanStart', () => console.log(label('Scanning...')));
+  finishers.push(() => trace.stop());
+}
 
-    // Capture the event emitted when scan mode ends
-    ble.on('scanStop', () => console.log(label('Stopped Scanning')));
+// finish writing the files when we are stopped with ctrl-C
+process.on('SIGINT', () => {
+  Promise.all(finishers.map((finish) => finish()))
+  .then(() => process.exit(0));
+});
 
-    // Last, put the bluetooth hardware into scan mode - which will cause
-    // 'discover' events for each detected dongle.
-    ble.startScanning([serviceId]);
+// Look for the dongle we were asked for
+let scanner = new DongleScanner(ble, CommandLine.scannerOptions(args));
 
-  }
+scanner.on('scanStart', () => console.log(label('Scanning...')));
+scanner.on('scanStop', () => console.log(label('Stopped Scanning')));
+
+scanner.select()
+.then((candidate) => {
+
+  console.log(label('Found ') + DongleScanner.describe(candidate));
+
+  console.log(label('Connecting... '));
+
+  // Create an object to manage the discovered peripheral
+  var dongle = new Dongle(candidate.peripheral, {
+    verbose: true,
+  });
 
+
+  dongle.on('status', function(slot, status) {
+    console.log('STATUS: ', slot, status);
+  });
+
+  startTrace(dongle);
+
+  return connect(dongle)
+  .then(() => Cs1108MemoryTest(dongle))
+  .then(() => setCs1108Watchers(dongle))
+  .then(() => startRecording(dongle))
+  .catch((err) => {
+    dongle.disconnect();
+    throw err;
+  });
+})
+.catch((err) => {
+  console.log(err);
+  console.error(err.message);
+  process.exit(1);
 });
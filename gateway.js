@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Connects to a dongle and makes it available to MODBUS TCP tools
+ *
+ * Requests sent to the gateway are passed to the dongle (unit 254) or the
+ * controllers behind it (unit 1, or their CAN node IDs).
+ *
+ * Use -h option for help
+ *
+ */
+
+// Include the BLE package to interface to bluetooth hardware
+// The noble library throws an exception if there is no compatible bluetooth adapter found.
+// this is a workaround as suggested by https://github.com/sandeepmistry/noble/issues/570
+var ble;
+try {
+  ble = require('@abandonware/noble');
+} catch (err) {
+
+  console.error('Not compatible with this BLE hardware', err);
+  process.exit(1);
+  ble = {
+    on: (function() {}),
+    once: (function() {})
+  };
+}
+
+// An object type that represents the remote (periperal) Bluetooth device
+const { Dongle } = require('./lib/Dongle');
+
+// Finds the dongle to use
+const DongleScanner = require('./lib/DongleScanner');
+
+// The command line options shared with the other scripts
+const CommandLine = require('./lib/CommandLine');
+
+// The MODBUS TCP server
+const ModbusTcpGateway = require('./lib/ModbusTcpGateway');
+
+// command-line options will be available in the args variable
+let args = require('minimist')(process.argv.slice(2));
+
+// For pretty printing
+const chalk = require('chalk');
+const error = chalk.bold.red;
+const label = chalk.blue;
+
+
+if (args.h || args.help) {
+
+  console.info('\r-------- CS1816 ----------');
+  console.info('MODBUS TCP Gateway Version ' + require('./package.json').version + '\r');
+  console.info('\rCommand format:\r');
+  console.info(require('path').basename(__filename, '.js') +
+    ' <options> \r');
+
+  console.info(chalk.underline('\rOptions\r'));
+  console.info('    -h           This help output\r');
+  console.info('    -v           Show each request\r');
+  console.info('    --mac        MAC address of the dongle to use (default: the first one found)\r');
+  console.info('    --name       Use a dongle whose name contains this\r');
+  console.info('    --rssi       Ignore dongles weaker than this (dBm, eg --rssi=-70)\r');
+  console.info('    --choose     List the dongles found, and choose one\r');
+  console.info('    --scantime   How long to scan for, in ms (default: 5000)\r');
+  console.info('    --port       TCP port to listen on (default: 502)\r');
+  console.info('    --host       Address to listen on (default: 127.0.0.1)\r');
+  console.info('    --mode       Operating mode [i2c|can|boot]\r');
+  console.info(chalk.bold('For --mode=can'));
+  console.info('    --canrate    Bus speed [250000|500000|1000000]\r');
+  console.info('    --myid       Our node ID on the bus [1-254]\r');
+
+  process.exit(0);
+}
+
+let dongleConfig = CommandLine.dongleConfig(args);
+
+
+// Connect to the dongle and start the gateway
+async function start(dongle) {
+
+  await dongle.connect();
+
+  let info = await dongle.readDongleInfo();
+
+  console.log(label('Connected to'), info.modelNumber, label('Serial Number:'), info.serialNumber);
+
+  await dongle.configure(dongleConfig);
+
+  let gateway = new ModbusTcpGateway(dongle, {
+    port: args.port || 502,
+    host: args.host || '127.0.0.1',
+  });
+
+  if (args.v) {
+    gateway.on('request', (unit, pdu, socket) => {
+      console.log(label('Request from ' + socket.remoteAddress + ' to unit ' + unit + ':'), pdu.toString('hex'));
+    });
+  }
+
+  gateway.on('connection', (socket) => {
+    console.log(label('Client connected:'), socket.remoteAddress);
+  });
+
+  gateway.on('error', (err) => {
+    console.error(error(err.message));
+  });
+
+  let address = await gateway.listen();
+
+  console.log(label('Listening on ' + address.address + ':' + address.port));
+}
+
+
+// Look for the dongle we were asked for
+let scanner = new DongleScanner(ble, CommandLine.scannerOptions(args));
+
+scanner.on('scanStart', () => console.log(label('Scanning...')));
+
+scanner.select()
+.then((candidate) => {
+
+  console.log(label('Found ') + DongleScanner.describe(candidate));
+
+  // Keep the link up for as long as the gateway runs
+  let dongle = new Dongle(candidate.peripheral, {
+    verbose: false,
+    autoReconnect: true,
+  });
+
+  dongle.on('disconnect', () => console.log(error('Dongle disconnected')));
+  dongle.on('reconnect', () => console.log(label('Dongle reconnected')));
+  dongle.on('reconnectFailed', () => {
+    console.error(error('Unable to reconnect to the dongle'));
+    process.exit(1);
+  });
+
+  return start(dongle)
+  .catch((err) => {
+    console.error(error('Error starting the gateway:'), err.message);
+    process.exit(1);
+  });
+})
+.catch((err) => {
+  console.error(error('Error finding the dongle:'), err.message);
+  process.exit(1);
+});
@@ -0,0 +1,150 @@
+/**
+ * The interface between the Dongle class and a BLE stack
+ *
+ * The Dongle only talks to the dongle through these methods, so it can be
+ * used with any BLE stack that has an adapter.  NobleTransport is the
+ * adapter for @abandonware/noble, and is used automatically when the Dongle
+ * is given a noble peripheral.
+ *
+ * An adapter can extend this class, or just provide the same methods and
+ * events.  All the methods returning promises must be implemented.
+ *
+ * Characteristics are passed around as the objects returned by discover();
+ * the Dongle only looks at their uuid property, which must be lower case
+ * hex without dashes ('2a24', '6765ed1f4de149e14771a14380c90003').  Anything
+ * else in them is for the adapter's own use.
+ *
+ * Events:
+ *
+ * connect:
+ * Emitted when the BLE connection is made.
+ *
+ * disconnect:
+ * Emitted when the BLE connection is lost, whether or not it was asked for.
+ *
+ */
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+
+// Builds the rejection for a method the adapter hasn't implemented
+function notImplemented(method) {
+  return Promise.reject(new Error('BLE transport does not implement ' + method + '()'));
+}
+
+
+module.exports = class BleTransport extends EventEmitter {
+
+  /**
+   * Tells whether an object can be used as a transport
+   *
+   * @param      {Object}   object  The object
+   * @return     {boolean}  true if it has the transport methods
+   */
+  static isTransport(object) {
+
+    return !!object &&
+      'function' === typeof(object.discover) &&
+      'function' === typeof(object.addNotificationListener);
+  }
+
+  /**
+   * Tells whether the BLE connection is up
+   *
+   * @return     {boolean}
+   */
+  isConnected() {
+    return false;
+  }
+
+  /**
+   * Makes the BLE connection
+   *
+   * @return     {Promise}  resolves when connected
+   */
+  connect() {
+    return notImplemented('connect');
+  }
+
+  /**
+   * Drops the BLE connection
+   *
+   * @return     {Promise}  resolves when disconnected
+   */
+  disconnect() {
+    return notImplemented('disconnect');
+  }
+
+  /**
+   * Finds the services and their characteristics
+   *
+   * @param      {Array}    serviceUuids  The services of interest
+   * @return     {Promise}  resolves with { services, characteristics }; each is an array of objects with a uuid
+   */
+  discover(serviceUuids) {
+    return notImplemented('discover');
+  }
+
+  /**
+   * Reads the value of a characteristic
+   *
+   * @param      {Object}   characteristic  The characteristic
+   * @return     {Promise}  resolves with a Buffer
+   */
+  read(characteristic) {
+    return notImplemented('read');
+  }
+
+  /**
+   * Writes a characteristic (with response)
+   *
+   * @param      {Object}   characteristic  The characteristic
+   * @param      {Buffer}   data            The value
+   * @return     {Promise}  resolves when the write is acknowledged
+   */
+  write(characteristic, data) {
+    return notImplemented('write');
+  }
+
+  /**
+   * Turns on notifications from a characteristic
+   *
+   * @param      {Object}   characteristic  The characteristic
+   * @return     {Promise}  resolves when subscribed
+   */
+  subscribe(characteristic) {
+    return notImplemented('subscribe');
+  }
+
+  /**
+   * Turns off notifications from a characteristic
+   *
+   * @param      {Object}   characteristic  The characteristic
+   * @return     {Promise}  resolves when unsubscribed
+   */
+  unsubscribe(characteristic) {
+    return notImplemented('unsubscribe');
+  }
+
+  /**
+   * Registers a function to be called with each new value (a Buffer) of a
+   * characteristic
+   *
+   * @param      {Object}    characteristic  The characteristic
+   * @param      {Function}  fn              function(data)
+   */
+  addNotificationListener(characteristic, fn) {
+    throw new Error('BLE transport does not implement addNotificationListener()');
+  }
+
+  /**
+   * Removes a function registered with addNotificationListener()
+   *
+   * @param      {Object}    characteristic  The characteristic
+   * @param      {Function}  fn              The function
+   */
+  removeNotificationListener(characteristic, fn) {
+    throw new Error('BLE transport does not implement removeNotificationListener()');
+  }
+};
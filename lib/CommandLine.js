@@ -0,0 +1,80 @@
+/**
+ * Command line options shared by the scripts that connect to a dongle
+ *
+ * They all pick the dongle with the same options (--mac, --name, --rssi,
+ * --choose and --scantime), and the ones that configure it take --mode,
+ * with --canrate and --myid in CAN mode.  These turn the minimist arguments
+ * into the options for DongleScanner and Dongle.configure():
+ *
+ *   let args = require('minimist')(process.argv.slice(2));
+ *
+ *   let scanner = new DongleScanner(ble, CommandLine.scannerOptions(args));
+ *   let dongleConfig = CommandLine.dongleConfig(args);
+ *
+ */
+
+// Used in CAN mode when --canrate or --myid is left out
+const DEFAULT_CAN_RATE = 500000;
+const DEFAULT_CAN_ID = 0xFE;
+
+
+/**
+ * Makes the DongleScanner options
+ *
+ * @param      {Object}  args    The parsed command line
+ * @return     {Object}  the options for new DongleScanner()
+ */
+function scannerOptions(args) {
+
+  return {
+    mac: args.mac,
+    name: args.name,
+    minRssi: args.rssi,
+    choose: args.choose,
+    timeout: args.scantime,
+  };
+}
+
+/**
+ * Makes the dongle configuration
+ *
+ * @param      {Object}  args    The parsed command line
+ * @return     {Object}  an object suitable for sending to Dongle.configure()
+ */
+function dongleConfig(args) {
+
+  let result = {};
+
+  switch (args.mode) {
+    case 'can':
+      result.mode = 'can';
+      result.modeOptions = {
+        baud: args.canrate || DEFAULT_CAN_RATE,
+        myId: args.myid || DEFAULT_CAN_ID
+      };
+      break;
+
+    case 'boot':
+      result.mode = 'boot';
+      break;
+
+    case 'i2c':
+    default:
+      result.mode = 'i2c';
+      break;
+
+  }
+
+  return result;
+}
+
+
+/**
+ * Exports
+ *
+ * @ignore
+ */
+module.exports = {
+  scannerOptions: scannerOptions,
+  dongleConfig: dongleConfig,
+};
@@ -0,0 +1,215 @@
+/**
+ * Object representing a simulated CS1108 motor controller
+ *
+ * This object is attached to a SimulatedPeripheral (by default at node ID 1)
+ * and answers the memory requests that the dongle forwards to it.
+ *
+ * The memory map follows the CS1108: a 16-bit address is made up of a bank
+ * (the high byte) and an offset within the bank (the low byte).
+ *   Bank 0 (0x0000-0x00FF) is RAM
+ *   Bank 3 (0x0300-0x03FF) is EEPROM
+ * Any other bank, or an access that runs off the end of a bank, is rejected
+ * with an Illegal Data Address exception.
+ *
+ * Tests can script the state of the controller, for example
+ *
+ *   controller.set('faultCode', 7);
+ *   controller.set(0x0064, 0x1234, 2);
+ *
+ * and each change is emitted as a 'change' event (address, length), which the
+ * SimulatedPeripheral uses to notify any watchers of that location.
+ *
+ */
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+const BANK_SIZE = 256;
+const BANK_RAM = 0;
+const BANK_EEPROM = 3;
+
+// MODBUS exception code for a bad address
+const EX_ILLEGAL_ADDRESS = 0x02;
+
+// Some well-known RAM locations, so tests can refer to them by name
+const REGISTERS = {
+  faultCode: { address: 0x0038, length: 1 },
+  chargeMode: { address: 0x005F, length: 1 },
+  voltage: { address: 0x0064, length: 2 },
+  pwm: { address: 0x002E, length: 1 },
+};
+
+
+module.exports = class Cs1108Simulator extends EventEmitter {
+
+  constructor(options) {
+
+    super();
+
+    this.options = Object.assign({
+
+      // initial contents of the EEPROM bank (erased if not supplied)
+      eeprom: null,
+
+      // initial contents of the RAM bank
+      ram: null,
+
+      // what the controller reports when asked to identify itself
+      product: 0x08,
+      run: 0xFF,
+      version: '1.0.0',
+
+    }, options);
+
+    this.banks = {};
+
+    this.banks[BANK_RAM] = Buffer.alloc(BANK_SIZE);
+    this.banks[BANK_EEPROM] = Buffer.alloc(BANK_SIZE).fill(0xFF);
+
+    if (this.options.ram) {
+      Buffer.from(this.options.ram).copy(this.banks[BANK_RAM]);
+    }
+
+    if (this.options.eeprom) {
+      Buffer.from(this.options.eeprom).copy(this.banks[BANK_EEPROM]);
+    }
+
+    this.registers = REGISTERS;
+  }
+
+  /**
+   * Finds the memory bank for an access
+   *
+   * @param      {number}  address  The 16-bit address
+   * @param      {number}  length   The number of bytes
+   * @return     {Object}  the bank buffer and the offset within it
+   */
+  locate(address, length) {
+
+    let bank = this.banks[address >> 8];
+    let offset = address & 0xFF;
+
+    if (!bank || length < 1 || offset + length > BANK_SIZE) {
+      throw { exceptionCode: EX_ILLEGAL_ADDRESS };
+    }
+
+    return { bank: bank, offset: offset };
+  }
+
+  readMemory(address, length) {
+
+    let loc = this.locate(address, length);
+
+    return Buffer.from(loc.bank.slice(loc.offset, loc.offset + length));
+  }
+
+  writeMemory(address, data) {
+
+    let loc = this.locate(address, data.length);
+
+    if (!data.equals(loc.bank.slice(loc.offset, loc.offset + data.length))) {
+      data.copy(loc.bank, loc.offset);
+      this.emit('change', address, data.length);
+    }
+  }
+
+  /**
+   * Changes the controller state, as if the controller did it
+   *
+   * @param      {number|string}  address  The address, or a register name
+   * @param      {number|Buffer}  value    The new value
+   * @param      {number}         length   The number of bytes (for numeric values)
+   */
+  set(address, value, length) {
+
+    if ('string' === typeof(address)) {
+      let register = this.registers[address];
+
+      if (!register) {
+        throw new Error('Unknown register ' + address);
+      }
+
+      address = register.address;
+      length = length || register.length;
+    }
+
+    if (!Buffer.isBuffer(value)) {
+      length = length || 1;
+
+      let buf = Buffer.alloc(length);
+      buf.writeUIntBE(value, 0, length);
+      value = buf;
+    }
+
+    this.writeMemory(address, value);
+  }
+
+  /**
+   * Returns the current controller state
+   *
+   * @param      {number|string}  address  The address, or a register name
+   * @param      {number}         length   The number of bytes
+   * @return     {number}  the value, big-endian
+   */
+  get(address, length) {
+
+    if ('string' === typeof(address)) {
+      let register = this.registers[address];
+
+      if (!register) {
+        throw new Error('Unknown register ' + address);
+      }
+
+      address = register.address;
+      length = length || register.length;
+    }
+
+    return this.readMemory(address, length || 1).readUIntBE(0, length || 1);
+  }
+
+  /**
+   * Applies a list of state changes at set times
+   *
+   * Each step is { at: ms, address: number|string, value: number|Buffer, length }
+   *
+   * @param      {Array}    steps   The state changes
+   * @return     {Promise}  resolves after the last step
+   */
+  script(steps) {
+
+    let me = this;
+
+    return Promise.all(steps.map((step) => new Promise(function(resolve, reject) {
+      setTimeout(() => {
+        try {
+          me.set(step.address, step.value, step.length);
+          resolve();
+        } catch (err) {
+          reject(err);
+        }
+      }, step.at || 0);
+    })));
+  }
+
+  /**
+   * Returns the controller identity, for the report slave ID function code
+   *
+   * @return     {Object}  { product, run, version }
+   */
+  reportSlaveId() {
+    return {
+      product: this.options.product,
+      run: this.options.run,
+      version: this.options.version,
+    };
+  }
+
+  /**
+   * Returns a copy of the EEPROM bank
+   *
+   * @return     {Buffer}
+   */
+  eeprom() {
+    return Buffer.from(this.banks[BANK_EEPROM]);
+  }
+};
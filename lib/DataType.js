@@ -0,0 +1,127 @@
+/**
+ * Describes how to turn the raw bytes of a memory location into a value
+ *
+ * A descriptor looks like
+ *
+ *   {
+ *     width: 2,          // number of bytes (1 to 6)
+ *     signed: false,     // two's complement if true
+ *     endian: 'big',     // 'big' or 'little'
+ *     scale: 0.1,        // multiplied by the raw value
+ *     offset: 0,         // added after scaling
+ *     units: 'V',        // for display only
+ *   }
+ *
+ * Anything left out takes the default shown above (width 1, scale 1, no units).
+ *
+ */
+
+const DEFAULTS = {
+  width: 1,
+  signed: false,
+  endian: 'big',
+  scale: 1,
+  offset: 0,
+  units: '',
+};
+
+module.exports = class DataType {
+
+  constructor(descriptor) {
+
+    let type = Object.assign({}, DEFAULTS, descriptor);
+
+    if (!Number.isInteger(type.width) || type.width < 1 || type.width > 6) {
+      throw new Error('Data type width must be 1 to 6 bytes, got ' + type.width);
+    }
+
+    if ('big' !== type.endian && 'little' !== type.endian) {
+      throw new Error('Data type endian must be big or little, got ' + type.endian);
+    }
+
+    if ('number' !== typeof(type.scale) || 'number' !== typeof(type.offset)) {
+      throw new Error('Data type scale and offset must be numbers');
+    }
+
+    this.width = type.width;
+    this.signed = !!type.signed;
+    this.endian = type.endian;
+    this.scale = type.scale;
+    this.offset = type.offset;
+    this.units = type.units;
+  }
+
+  /**
+   * Returns a DataType for a descriptor, or the DataType itself
+   *
+   * @param      {Object|DataType}  type    The descriptor
+   * @return     {DataType}
+   */
+  static from(type) {
+    return (type instanceof DataType) ? type : new DataType(type);
+  }
+
+  /**
+   * Tells whether something can be used as a type descriptor
+   *
+   * @param      {*}        type    Candidate descriptor
+   * @return     {boolean}
+   */
+  static isDescriptor(type) {
+    return (type instanceof DataType) ||
+      (null !== type && 'object' === typeof(type) && !Buffer.isBuffer(type));
+  }
+
+  /**
+   * Converts raw bytes into a value
+   *
+   * @param      {Buffer}  raw     The bytes, at least width long
+   * @return     {number}  the scaled value
+   */
+  decode(raw) {
+
+    let value;
+
+    if ('big' === this.endian) {
+      value = (this.signed) ? raw.readIntBE(0, this.width) : raw.readUIntBE(0, this.width);
+    } else {
+      value = (this.signed) ? raw.readIntLE(0, this.width) : raw.readUIntLE(0, this.width);
+    }
+
+    return value * this.scale + this.offset;
+  }
+
+  /**
+   * Converts a value into raw bytes
+   *
+   * @param      {number}  value   The scaled value
+   * @return     {Buffer}  the bytes
+   */
+  encode(value) {
+
+    let raw = Buffer.alloc(this.width);
+    let n = Math.round((value - this.offset) / this.scale);
+
+    if ('big' === this.endian && this.signed) {
+      raw.writeIntBE(n, 0, this.width);
+    } else if ('big' === this.endian) {
+      raw.writeUIntBE(n, 0, this.width);
+    } else if (this.signed) {
+      raw.writeIntLE(n, 0, this.width);
+    } else {
+      raw.writeUIntLE(n, 0, this.width);
+    }
+
+    return raw;
+  }
+
+  /**
+   * Formats a value with its units
+   *
+   * @param      {number}  value   The value
+   * @return     {string}
+   */
+  format(value) {
+    return (this.units) ? value + ' ' + this.units : String(value);
+  }
+};
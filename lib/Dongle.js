@@ -18,16 +18,41 @@
  * to use.
  *
  * disconnect:
- * Emitted when the BLE connection to the peripheral is lost.  You can basically
- * delete this object at this point and create another one when a connection is
- * (re) established
+ * Emitted when the BLE connection to the peripheral is lost.  Unless the
+ * autoReconnect option is set, you can basically delete this object at this
+ * point and create another one when a connection is (re) established
+ *
+ * reconnecting:
+ * Emitted (attempt, delay) when autoReconnect is set and a reconnection
+ * attempt is scheduled after the link was lost.
+ *
+ * reconnect:
+ * Emitted when autoReconnect has restored the connection, the configuration,
+ * the keyswitch state and all the watchers.
+ *
+ * reconnectFailed:
+ * Emitted (err) when autoReconnect gives up after reconnectAttempts tries.
+ *
+ * status:
+ * Emitted (slot, data) for each watcher or super watcher (slot 0xFF)
+ * notification, after it has been passed to the watcher's callback.
+ *
+ * write:
+ * Emitted (data) for each frame written to the transparent UART.
+ *
+ * data:
+ * Emitted (data) for each notification received from the transparent UART.
+ *
+ * fault:
+ * Emitted (data) when the fault characteristic notifies.
+ *
+ * decodeError:
+ * Emitted (err, slot, data) instead of calling a watcher's callback, when
+ * a notification is too short for the watcher's data type.
  *
  */
 
 
-// include class that allows us to emit events
-const EventEmitter = require('events').EventEmitter;
-
 // utiity library
 const _ = require('underscore');
 
@@ -54,17 +79,73 @@ const OBJECT_INFO_SIZE = 128;
 const GET_WATCHERS = 0;
 const GET_SUPERWATCHER = 1;
 
+// Operating modes encoded in the OP_CONFIGURE command
+const MODE_CODES = {
+  i2c: 0,
+  can: 1,
+  boot: 2,
+};
+
+// CAN bit rates encoded in the OP_CONFIGURE command
+const CAN_RATE_CODES = {
+  250000: 0,
+  500000: 1,
+  1000000: 2,
+};
+
+// Default values for the CAN mode options
+const DEFAULT_CAN_RATE = 500000;
+const DEFAULT_CAN_ID = 0xFE;
+
+// The first dongle software revision that supports each feature
+const CAPABILITIES = {
+  getWatchers: [1, 4, 0],
+  superwatch: [1, 5, 0],
+  writeMemoryVerify: [1, 6, 0],
+  accessKey: [1, 8, 0],
+};
+
+// Node IDs probed by discoverControllers() unless told otherwise, and how
+// long to wait for each one to answer
+const DISCOVER_FIRST_ID = 1;
+const DISCOVER_LAST_ID = 32;
+const DISCOVER_TIMEOUT = 250;
+
+// MODBUS function codes of the object requests, used to say which request
+// needed a capability
+const FC_READ_OBJECT = 0x43;
+const FC_WRITE_OBJECT = 0x44;
+
 // a library that, among other things, sends and receives messages
 const Modbus = require('@csllc/cs-modbus');
 
 const Watcher = require('./Watcher');
 
+const SuperWatcher = require('./SuperWatcher');
+
+const {
+  NotConnectedError,
+  IncompatibleDeviceError,
+  UnsupportedFirmwareError,
+} = require('./errors');
+
+const ModbusConnection = require('./ModbusConnection');
+
+const MotorController = require('./MotorController');
+
+const ReadScheduler = require('./ReadScheduler');
+
+const BleTransport = require('./BleTransport');
+
+const NobleTransport = require('./NobleTransport');
+
 /**
  * Constructor
  *
- * @param {[type]} peripheral [description]
+ * @param {Object} peripheral a noble peripheral, or any BLE transport (see BleTransport)
+ * @param {Object} options
  */
-class Dongle extends EventEmitter {
+class Dongle extends ModbusConnection {
 
   constructor(peripheral, options) {
 
@@ -78,6 +159,26 @@ class Dongle extends EventEmitter {
       // Default number of milliseconds to wait for replies from the remote end
       defaultTimeout: 10000,
 
+      // whether to reconnect and restore the dongle state when the link drops
+      autoReconnect: false,
+
+      // milliseconds to wait before the first reconnection attempt; each
+      // failed attempt multiplies the wait by reconnectFactor, up to reconnectMaxDelay
+      reconnectDelay: 1000,
+      reconnectFactor: 2,
+      reconnectMaxDelay: 30000,
+
+      // how many times to try before giving up
+      reconnectAttempts: Infinity,
+
+      // optional function(peripheral) returning a Promise for the peripheral to
+      // reconnect to, for when it has to be found by scanning again
+      rediscover: null,
+
+      // milliseconds to hold memory reads so that reads of nearby addresses
+      // can be merged into one transaction; 0 sends each read straight away
+      readCoalesceWindow: 0,
+
     }, options);
 
     //------------------------------------//---------------------------------------
@@ -182,8 +283,10 @@ class Dongle extends EventEmitter {
     // we have also registered for the right characteristics,etc
     this.connected = false;
 
-    // store the whole peripheral reference
-    this.peripheral = peripheral;
+    // store the whole peripheral reference, and the BLE transport we
+    // use to talk to it (see attachPeripheral)
+    this.peripheral = null;
+    this.transport = null;
 
     // service needs to be discovered upon connecting
     this.controllerService = null;
@@ -198,9 +301,27 @@ class Dongle extends EventEmitter {
     // Counter to help match device responses with commands
     this.commandSequence = 0;
 
-    // Pass noble BLE events through to our user
-    this.peripheral.on('connect', this.emit.bind(this, 'connect'));
-    this.peripheral.on('disconnect', this.emit.bind(this, 'disconnect'));
+    // Listeners we hook on the peripheral and its characteristics, so they
+    // can be released when we reconnect
+    this.peripheralListeners = [];
+    this.characteristicListeners = [];
+
+    // The state we restore after reconnecting
+    this.keyswitchState = null;
+    this.watchers = [];
+    this.superwatcher = null;
+
+    // Watcher slots allocated by addWatch(), keyed by id/address/length
+    this.sharedWatchers = {};
+
+    // set while we are deliberately disconnecting
+    this.closing = false;
+
+    // reconnection attempts made since the link was lost
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+
+    this.attachPeripheral(peripheral);
 
     // Create a modbus master that can be used to send and receive
     // messages through the 'transparent UART' characteristics
@@ -232,254 +353,402 @@ class Dongle extends EventEmitter {
     // This is hardcoded in the dongle
     this.id = 254;
 
-  }
+    // Merges small reads, if enabled
+    this.readScheduler = null;
 
-  // Returns a promise that resolves when the configure command is complete
-  configure(options) {
-    return this.command(this.id, OP_CONFIGURE, Buffer.from([]));
-  }
+    if (this.options.readCoalesceWindow > 0) {
+      this.readScheduler = new ReadScheduler(
+        (dest, address, length) => this.sendReadMemory(dest, address, length),
+        { window: this.options.readCoalesceWindow });
+    }
 
-  // Returns a promise that resolves when the state of the keyswitch is set
-  keyswitch(state) {
+    // The configuration most recently accepted by the dongle
+    this.configuration = null;
+
+    // The dongle software revision, parsed by readDongleInfo()
+    // { major, minor, patch, text }
+    this.softwareVersion = null;
 
-    return this.command(this.id, OP_KEYSWITCH, Buffer.from([(state) ? 1 : 0]));
   }
 
+  /**
+   * Validates a dongle configuration and builds the OP_CONFIGURE payload
+   *
+   * The payload is laid out the way the dongle's OP_CONFIGURE command takes it:
+   *
+   *   byte 0:  the mode (MODE_CODES): 0 = I2C, 1 = CANBUS, 2 = boot
+   *   byte 1:  CANBUS only, the bit rate (CAN_RATE_CODES): 0 = 250k, 1 = 500k, 2 = 1M
+   *   byte 2:  CANBUS only, our own node ID on the bus (1-254)
+   *
+   * With no options at all, the payload is empty, as configure() has always
+   * sent it; the dongle then stays in its default (I2C) mode.
+   *
+   * @param      {Object}  options  { mode: 'i2c'|'can'|'boot', modeOptions: { baud, myId } }
+   * @return     {Object}  the normalized configuration and its encoding
+   * @throws     {Error}   if the configuration is not valid
+   */
+  encodeConfiguration(options) {
+
+    if (undefined === options) {
+      return {
+        configuration: { mode: 'i2c' },
+        payload: Buffer.from([]),
+      };
+    }
+
+    options = options || {};
 
-  // Send a command PDU to the device
-  command(dest, id, values, options) {
+    let mode = options.mode || 'i2c';
+    let modeOptions = options.modeOptions;
 
-    let me = this;
+    if (!MODE_CODES.hasOwnProperty(mode)) {
+      throw new Error('Unknown dongle mode ' + mode);
+    }
 
-    return new Promise(function(resolve, reject) {
+    if ('can' !== mode) {
 
-      options = options || {};
+      if (modeOptions && Object.keys(modeOptions).length > 0) {
+        throw new Error('Mode options are not allowed in ' + mode + ' mode');
+      }
 
-      options.onComplete = function(err, response) {
-        if (response && response.exceptionCode) {
-          // i'm not sure how to catch exception responses from the
-          // slave in a better way than this
-          err = new Error('Exception ' + response.exceptionCode);
-        }
-        if (err) {
-          reject(err);
-        } else {
-          if (response.values && response.values[0] === 0) {
-            resolve(response);
-          } else {
-            reject('Error issuing command ' + id);
-          }
-        }
+      return {
+        configuration: { mode: mode },
+        payload: Buffer.from([MODE_CODES[mode]]),
       };
+    }
 
-      options.unit = dest;
+    modeOptions = modeOptions || {};
 
-      me.master.command(id, values, options);
+    let baud = Number(modeOptions.baud || DEFAULT_CAN_RATE);
+    let myId = (undefined === modeOptions.myId) ? DEFAULT_CAN_ID : Number(modeOptions.myId);
 
-    });
+    if (!CAN_RATE_CODES.hasOwnProperty(baud)) {
+      throw new Error('Unsupported CAN bit rate ' + modeOptions.baud);
+    }
+
+    if (!Number.isInteger(myId) || myId < 1 || myId > 0xFE) {
+      throw new Error('Invalid CAN node ID ' + modeOptions.myId);
+    }
+
+    return {
+      configuration: { mode: mode, modeOptions: { baud: baud, myId: myId } },
+      payload: Buffer.from([MODE_CODES[mode], CAN_RATE_CODES[baud], myId]),
+    };
   }
 
-  // Read device memory using the MODBUS read memory function code
-  // returns a Promise that resolves when the write is complete
-  readMemory(dest, address, length, options) {
+  /**
+   * Sends the operating mode configuration to the dongle
+   *
+   * The configuration is checked before anything is sent; an invalid
+   * combination rejects without talking to the dongle.  Once the dongle
+   * accepts it, the configuration is available as this.configuration
+   *
+   * @param      {Object}   options  { mode: 'i2c'|'can'|'boot', modeOptions: { baud, myId } }
+   * @return     {Promise}  resolves when the configure command is complete
+   */
+  configure(options) {
 
     let me = this;
+    let encoded;
 
-    return new Promise(function(resolve, reject) {
-
-      options = options || {};
+    try {
+      encoded = me.encodeConfiguration(options);
+    } catch (err) {
+      return Promise.reject(err);
+    }
 
-      options.onComplete = function(err, response) {
-        if (response && response.exceptionCode) {
-          // i'm not sure how to catch exception responses from the
-          // slave in a better way than this
-          err = new Error('Exception ' + response.exceptionCode);
-        }
-        if (err) {
-          reject(err);
-        } else {
-          resolve(response.values);
-        }
-      };
+    return me.command(me.id, OP_CONFIGURE, encoded.payload)
+    .then((response) => {
+      me.configuration = encoded.configuration;
+      return response;
+    });
+  }
 
-      //options.onError = reject;
-      options.unit = dest;
+  // Returns a promise that resolves when the state of the keyswitch is set
+  keyswitch(state) {
 
-      me.master.readMemory(address, length, options);
+    let me = this;
 
+    return me.command(me.id, OP_KEYSWITCH, Buffer.from([(state) ? 1 : 0]))
+    .then((response) => {
+      me.keyswitchState = !!state;
+      return response;
     });
   }
 
-  // Write to device memory using the MODBUS write memory function code
-  // returns a Promise that resolves when the write is complete
-  writeMemory(dest, address, data, options) {
+
+  /**
+   * Finds the motor controllers on the CANBUS
+   *
+   * Each candidate node ID is asked to identify itself; the ones that answer
+   * are returned as MotorController instances, with the reply available
+   * as controller.identity.  The dongle must have been configured in CAN mode.
+   *
+   * @param      {Object}   options  { ids: [node IDs], first, last, timeout }
+   * @return     {Promise}  resolves with an array of MotorControllers
+   */
+  discoverControllers(options) {
 
     let me = this;
 
-    return new Promise(function(resolve, reject) {
+    options = Object.assign({
+      first: DISCOVER_FIRST_ID,
+      last: DISCOVER_LAST_ID,
+      timeout: DISCOVER_TIMEOUT,
+    }, options);
 
-      options = options || {};
+    if (!me.configuration || 'can' !== me.configuration.mode) {
+      return Promise.reject(new Error('Controller discovery requires the dongle to be configured in CAN mode'));
+    }
 
-      options.onComplete = function(err, response) {
-        if (response && response.exceptionCode) {
-          // i'm not sure how to catch exception responses from the
-          // slave in a better way than this
-          err = new Error('Exception ' + response.exceptionCode);
-        }
-        if (err) {
-          reject(err);
-        } else {
-          if (response.status === 0) {
-            resolve();
-          } else {
-            reject('Error writing to device ');
-          }
-        }
-      };
+    let ids = options.ids;
 
-      options.unit = dest;
+    if (!ids) {
+      ids = [];
+      for (let id = options.first; id <= options.last; id++) {
+        ids.push(id);
+      }
+    }
 
-      me.master.writeMemory(address, data, options);
+    // don't probe ourselves or the dongle
+    ids = ids.filter((id) => id !== me.id && id !== me.configuration.modeOptions.myId);
 
-    });
-  }
+    let probes = ids.map((id) => me.reportSlaveId(id, {
+        timeout: options.timeout,
+        maxRetries: 0,
+      })
+      .then((identity) => new MotorController(id, me, identity))
+      .catch(() => null));
 
+    return Promise.all(probes)
+    .then((controllers) => controllers.filter((controller) => controller !== null));
+  }
 
-  // Write to device memory using the MODBUS write memory with verification function code
-  // returns a Promise that resolves when the write is complete
-  writeMemoryVerify(dest, address, data, options) {
+  /**
+   * Watch a location using a specific slot
+   *
+   * The length may be replaced by a data type descriptor (see DataType), in
+   * which case the callback receives (value, slot, raw) instead of (raw, slot).
+   *
+   * @param      {number}         slot     The watcher slot
+   * @param      {number}         id       The controller ID
+   * @param      {number}         address  The address to watch
+   * @param      {number|Object}  length   The number of bytes (default 1), or a data type
+   * @param      {Function}       cb       Called when the value changes
+   * @return     {Promise}        resolves when the watch is set up
+   */
+  watch(slot, id, address, length, cb) {
 
     let me = this;
 
-    return new Promise(function(resolve, reject) {
+    if (slot < me.numStatus) {
 
-      options = options || {};
+      let watcher;
 
-      options.onComplete = function(err, response) {
-        if (response && response.exceptionCode) {
-          // i'm not sure how to catch exception responses from the
-          // slave in a better way than this
-          err = new Error('Exception ' + response.exceptionCode);
-        }
-        if (err) {
-          reject(err);
-        } else {
-          if (response.status === 0) {
-            resolve();
-          } else {
-            reject('Error writing to device ');
-          }
+      try {
+        watcher = new Watcher(slot, id, address, length, cb);
+      } catch (err) {
+        return Promise.reject(err);
+      }
+
+      me.watcherCb[slot] = (data, slot) => me.notifyWatcher(watcher, data, slot);
+      me.watchers[slot] = watcher;
+
+      return me.unsubscribe(me.statusChar[slot])
+      .then(() => me.command(me.id, OP_WATCH, Buffer.from([slot, id, (address >> 8), (address & 0xFF), watcher.length])))
+      .then(() => me.subscribe(me.statusChar[slot]))
+      .catch((err) => {
+
+        // a watcher the dongle didn't take must not be restored on
+        // reconnect, or hold on to the slot
+        if (me.watchers[slot] === watcher) {
+          me.watcherCb[slot] = null;
+          delete me.watchers[slot];
         }
-      };
+        throw err;
+      });
 
-      options.unit = dest;
+    } else {
+      return Promise.reject(new RangeError('watch requested for invalid slot number ' + slot));
+    }
 
-      me.master.writeMemoryVerify(address, data, options);
 
-    });
   }
 
+  /**
+   * Returns the lowest watcher slot that is not in use
+   *
+   * @return     {number}  the slot
+   * @throws     {Error}   if all the slots are in use
+   */
+  allocateSlot() {
+
+    for (let slot = 0; slot < this.numStatus; slot++) {
+      if (!this.watchers[slot]) {
+        return slot;
+      }
+    }
+
+    throw new Error('No free watcher slots (all ' + this.numStatus + ' are in use)');
+  }
 
-  // Read data object from device
-  // returns a Promise that resolves when the read is complete
-  readObject(dest, objectId, options) {
+  /**
+   * Watch a location without choosing a slot
+   *
+   * A free slot is allocated for the location.  Subscribers watching the same
+   * id, address and length share one slot; a subscriber that joins later
+   * gets the most recent value straight away.  Call close() on the
+   * returned handle to stop watching; the slot is freed when its last
+   * subscriber closes.
+   *
+   * As with watch(), the length may be a data type descriptor; each
+   * subscriber can decode the shared location in its own way.
+   *
+   * @param      {number}         id       The controller ID
+   * @param      {number}         address  The address to watch
+   * @param      {number|Object}  length   The number of bytes (default 1), or a data type
+   * @param      {Function}       cb       Called when the value changes
+   * @return     {Promise}        resolves with the handle { slot, id, address, length, close() }
+   */
+  addWatch(id, address, length, cb) {
 
     let me = this;
+    let subscriber;
 
-    return new Promise(function(resolve, reject) {
+    try {
+      subscriber = new Watcher(null, id, address, length, cb);
+    } catch (err) {
+      return Promise.reject(err);
+    }
 
-      options = options || {};
+    length = subscriber.length;
 
-      options.onComplete = function(err, response) {
-        if (response && response.exceptionCode) {
-          // i'm not sure how to catch exception responses from the
-          // slave in a better way than this
-          err = new Error('Exception ' + response.exceptionCode);
-        }
-        if (err) {
-          reject(err);
-        } else {
-          resolve(response.values);
-        }
-      };
+    let key = [id, address, length].join(':');
+    let entry = me.sharedWatchers[key];
 
-      //options.onError = reject;
-      options.unit = dest;
+    if (!entry) {
 
-      me.master
-      .readObject(objectId, options);
+      let slot;
 
-    });
-  }
+      try {
+        slot = me.allocateSlot();
+      } catch (err) {
+        return Promise.reject(err);
+      }
 
-  // Write a data object in the device
-  // returns a Promise that resolves when the write is complete
-  writeObject(dest, objectId, data, options) {
+      entry = {
+        slot: slot,
+        subscribers: [],
+        last: null,
 
-    let me = this;
+        // how many notifications have been passed on
+        count: 0,
+      };
 
-    return new Promise(function(resolve, reject) {
+      me.sharedWatchers[key] = entry;
 
-      options = options || {};
+      entry.ready = me.watch(slot, id, address, length, (data, slot) => {
+        entry.last = data;
+        entry.count++;
+        entry.subscribers.slice().forEach((subscriber) => me.notifyWatcher(subscriber, data, slot));
+      })
+      .catch((err) => {
 
-      options.onComplete = function(err, response) {
-        if (response && response.exceptionCode) {
-          // i'm not sure how to catch exception responses from the
-          // slave in a better way than this
-          err = new Error('Exception ' + response.exceptionCode);
-        }
-        if (err) {
-          reject(err);
-        } else {
-          if (response.status === 0) {
-            resolve(true);
-          } else {
-            reject('Error writing to device ');
-          }
+        // give the slot back
+        if (me.sharedWatchers[key] === entry) {
+          delete me.sharedWatchers[key];
+          me.watcherCb[slot] = null;
+          delete me.watchers[slot];
         }
-      };
+        throw err;
+      });
 
-      options.unit = dest;
+    } else if (entry.last) {
+      // bring the new subscriber up to date, unless a notification
+      // reaches it first
+      let count = entry.count;
+      setImmediate(() => {
+        if (entry.count === count && entry.subscribers.indexOf(subscriber) > -1) {
+          me.notifyWatcher(subscriber, entry.last, entry.slot);
+        }
+      });
+    }
 
-      me.master.writeObject(objectId, data, options);
+    subscriber.slot = entry.slot;
+    entry.subscribers.push(subscriber);
 
-    });
-  }
+    let closed = false;
 
+    let handle = {
+      slot: entry.slot,
+      id: id,
+      address: address,
+      length: length,
 
-  watch(slot, id, address, length, cb) {
+      close: function() {
 
-    // if the length was not supplied, default it to 1
-    if ('function' === typeof(length)) {
-      cb = length;
-      length = 1;
-    }
+        if (closed) {
+          return Promise.resolve();
+        }
+        closed = true;
 
-    let me = this;
+        let index = entry.subscribers.indexOf(subscriber);
+        if (index > -1) {
+          entry.subscribers.splice(index, 1);
+        }
 
-    if (slot < me.numStatus) {
+        if (entry.subscribers.length === 0 && me.sharedWatchers[key] === entry) {
+          delete me.sharedWatchers[key];
+          return me.unwatch(entry.slot);
+        }
 
-      me.watcherCb[slot] = cb;
-      return me.unsubscribe(me.statusChar[slot])
-      .then(() => me.command(me.id, OP_WATCH, Buffer.from([slot, id, (address >> 8), (address & 0xFF), length])))
-      .then(() => me.subscribe(me.statusChar[slot]))
+        return Promise.resolve();
+      }
+    };
 
-    } else {
-      return Promise.reject('watch requested for invalid slot number');
-    }
+    return entry.ready.then(() => handle, (err) => {
+      closed = true;
+      throw err;
+    });
+  }
 
+  // Forget the addWatch() entry that owns a slot, if any
+  releaseSharedWatcher(slot) {
 
+    Object.keys(this.sharedWatchers).forEach((key) => {
+      if (this.sharedWatchers[key].slot === slot) {
+        delete this.sharedWatchers[key];
+      }
+    });
   }
 
-  superwatch(id, addresses, cb) {
+  /**
+   * Sets up the super watcher
+   *
+   * The callback receives the notifications decoded into an object keyed
+   * by member name or address, with the changed members flagged (see SuperWatcher).
+   *
+   * @param      {number}    id       The controller ID
+   * @param      {Array}     members  Up to 25 addresses, or { address, name, type } objects
+   * @param      {Function}  cb       Called (members, slot, raw) when a value changes
+   * @return     {Promise}   resolves when the super watcher is set up
+   */
+  superwatch(id, members, cb) {
     let me = this;
 
-    // addresses is an array of 16 bit addresses
-
     // Length 1 is assumed for each location used by the super-watcher.
     // Slot is fixed at 0xFF for the super-watcher.
 
-    me.superwatchCb = cb;
+    let superwatcher;
+
+    try {
+      me.requireSupport('superwatch', { unit: me.id, opcode: OP_SUPERWATCH });
+      superwatcher = new SuperWatcher(id, members, cb);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    let addresses = superwatcher.addresses;
 
     let commandArray = [SLOT_SUPERWATCH, id];
 
@@ -490,6 +759,12 @@ class Dongle extends EventEmitter {
 
     return me.command(me.id, OP_SUPERWATCH, Buffer.from(commandArray))
     .then(() => {
+
+      // only once the dongle has taken it, so that a refused super watcher
+      // is not restored on reconnect
+      me.superwatchCb = superwatcher.notify.bind(superwatcher);
+      me.superwatcher = (addresses.length > 0) ? superwatcher : null;
+
       me.subscribe(me.superwatcherChar)
     });
 
@@ -507,12 +782,32 @@ class Dongle extends EventEmitter {
       watchers = [watchers];
     }
 
+    // allocate slots for any watchers that didn't choose one
+    let allocated = [];
+
+    try {
+      watchers.forEach((watcher) => {
+        if (null === watcher.slot || undefined === watcher.slot) {
+          watcher.slot = me.allocateSlot();
+          me.watchers[watcher.slot] = watcher;
+          allocated.push(watcher);
+        }
+      });
+    } catch (err) {
+      allocated.forEach((watcher) => {
+        delete me.watchers[watcher.slot];
+        watcher.slot = null;
+      });
+      throw err;
+    }
+
     // unsubscribe from all
     watchers.forEach((watcher) => {
 
       unsub.push(me.unsubscribe(me.statusChar[watcher.slot]));
 
-      me.watcherCb[watcher.slot] = watcher.cb;
+      me.watcherCb[watcher.slot] = (data, slot) => me.notifyWatcher(watcher, data, slot);
+      me.watchers[watcher.slot] = watcher;
 
       list.push(watcher.slot, watcher.id, watcher.address >> 8, (watcher.address & 0xFF), watcher.length);
     });
@@ -537,6 +832,8 @@ class Dongle extends EventEmitter {
   async getWatchers() {
     let watchers = [];
 
+    this.requireSupport('getWatchers', { unit: this.id, opcode: OP_GET_WATCHER });
+
     return this.command(this.id, OP_GET_WATCHER, Buffer.from([GET_WATCHERS]))
     .then((response) => {
       // Parse the response and build a list of active watchers
@@ -556,6 +853,8 @@ class Dongle extends EventEmitter {
   async getSuperWatcher() {
     let superWatcherMembers = [];
 
+    this.requireSupport('getWatchers', { unit: this.id, opcode: OP_GET_WATCHER });
+
     return this.command(this.id, OP_GET_WATCHER, Buffer.from([GET_SUPERWATCHER]))
     .then((response) => {
       // Parse the response and build a list of active super-watcher members
@@ -580,6 +879,8 @@ class Dongle extends EventEmitter {
 
       if (watcher.slot < me.numStatus) {
         me.watcherCb[watcher.slot] = null;
+        delete me.watchers[watcher.slot];
+        me.releaseSharedWatcher(watcher.slot);
 
         unsub.push(me.unsubscribe(me.statusChar[watcher.slot]));
 
@@ -597,6 +898,8 @@ class Dongle extends EventEmitter {
       
     let me = this;
 
+    me.superwatcher = null;
+
     return me.unsubscribe(me.superwatcherChar)
     .then(() => {
       me.command(me.id, OP_UNWATCH, Buffer.from([0xFF]));
@@ -611,6 +914,8 @@ class Dongle extends EventEmitter {
     if (slot < me.numStatus) {
       // Watchers
       me.watcherCb[slot] = null;
+      delete me.watchers[slot];
+      me.releaseSharedWatcher(slot);
 
       return me.unsubscribe(me.statusChar[slot])
       .then(() => me.command(me.id, OP_UNWATCH, Buffer.from([slot])));
@@ -620,12 +925,16 @@ class Dongle extends EventEmitter {
       console.log("unwatch: superwatcher");
       return me.clearSuperWatcher();
     } else {
-      return Promise.reject('unwatch requested for invalid slot number');
+      return Promise.reject(new RangeError('unwatch requested for invalid slot number ' + slot));
     }
   }
 
   unwatchAll(slot) {
 
+    this.watchers = [];
+    this.superwatcher = null;
+    this.sharedWatchers = {};
+
     // Unsubscribe from the watchers
     for (let i = 0; i < this.numStatus; i++) {
       this.unsubscribe(this.statusChar[i]);
@@ -683,8 +992,8 @@ class Dongle extends EventEmitter {
    */
   isConnected() {
 
-    return (this.peripheral &&
-      this.peripheral.state === 'connected' &&
+    return (this.transport &&
+      this.transport.isConnected() &&
       this.connected === true);
 
   }
@@ -705,16 +1014,12 @@ class Dongle extends EventEmitter {
     return new Promise(function(resolve, reject) {
 
       // If there is a controller service, we are connected
-      if (me.peripheral && me.peripheral.state === 'connected') {
+      if (me.transport.isConnected()) {
 
-        characteristic.read(function(err, data) {
-
-          resolve(data);
-
-        });
+        me.transport.read(characteristic).then(resolve, reject);
 
       } else {
-        reject();
+        reject(new NotConnectedError());
       }
     });
 
@@ -735,17 +1040,10 @@ class Dongle extends EventEmitter {
       // If there is a controller service, we are connected
       if (me.isConnected()) {
 
-        characteristic.write(value, false, function(err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve();
-          }
-
-        });
+        me.transport.write(characteristic, value).then(resolve, reject);
 
       } else {
-        reject();
+        reject(new NotConnectedError());
       }
     });
 
@@ -762,14 +1060,13 @@ class Dongle extends EventEmitter {
    */
   subscribe(characteristic) {
 
+    var me = this;
+
     return new Promise(function(resolve, reject) {
 
-      characteristic.subscribe(function(err) {
-        if (err) {
-          reject(new Error('Failed to subscribe to characteristic'));
-        } else {
-          resolve();
-        }
+      me.transport.subscribe(characteristic)
+      .then(resolve, function() {
+        reject(new Error('Failed to subscribe to characteristic'));
       });
     });
 
@@ -782,16 +1079,15 @@ class Dongle extends EventEmitter {
    */
   unsubscribe(characteristic) {
 
+    var me = this;
+
     return new Promise(function(resolve, reject) {
 
       if (characteristic) {
 
-        characteristic.unsubscribe(function(err) {
-          if (err) {
-            reject(new Error('Failed to unsubscribe characteristic'));
-          } else {
-            resolve();
-          }
+        me.transport.unsubscribe(characteristic)
+        .then(resolve, function() {
+          reject(new Error('Failed to unsubscribe characteristic'));
         });
       } else {
         console.error("Unknown characterstic");
@@ -820,6 +1116,9 @@ class Dongle extends EventEmitter {
       me.statusChar = [];
       me.superwatcherChar = null;
       me.watcherCb = [];
+
+      // forget any characteristics found on a previous connection
+      me.releaseCharacteristics();
       //
       // Once the peripheral has been connected, then inspect the
       // services and characteristics
@@ -831,138 +1130,138 @@ class Dongle extends EventEmitter {
         me.uuidDeviceInformation,
       ];
 
-      var characteristicUUIDs = [];
-
       // interrogate the device for the stuff we care about
-      // We could also use me.peripheral.discoverServices([ ], function(err, services)
-      // Which would just read all without filtering
-      //me.peripheral.discoverServices([ ], function(err, services) {
+      let onDiscovered = function(err, services, characteristics) {
 
-      //me.peripheral.discoverAllServicesAndCharacteristics( function(err, services, characteristics) {
-
-      me.peripheral.discoverSomeServicesAndCharacteristics(
-        serviceUUIDs, characteristicUUIDs,
-        function(err, services, characteristics) {
-
-          if (err) {
-            reject(err);
-          } else {
-
-            me.controllerService = _.findWhere(services, { uuid: me.uuidControllerService });
-            me.uartService = _.findWhere(services, { uuid: me.uuidUartService });
-
-
-            // me.commandChar = _.findWhere(characteristics, {uuid: me.uuidCommand });
-            // me.responseChar = _.findWhere(characteristics, {uuid: me.uuidResponse });
-            me.productChar = _.findWhere(characteristics, { uuid: me.uuidProduct });
-            me.serialChar = _.findWhere(characteristics, { uuid: me.uuidSerial });
-            me.faultChar = _.findWhere(characteristics, { uuid: me.uuidFault });
-
-            for (let i = 0; i < me.numStatus; i++) {
-              me.statusChar[i] = _.findWhere(characteristics, { uuid: me.uuidStatus[i] });
-
-            }
-
-            me.superwatcherChar = _.findWhere(characteristics, { uuid: me.uuidSuperwatcher });
-
-            
-            me.txCharacteristic = _.findWhere(characteristics, { uuid: me.uuidTx });
-            me.rxCharacteristic = _.findWhere(characteristics, { uuid: me.uuidRx });
-            me.uartCharacteristic = _.findWhere(characteristics, { uuid: me.uuidUartControl });
-
-            // me.positionChar = _.findWhere(characteristics, {uuid: me.uuidPosition });
-
-            me.systemIdChar = _.findWhere(characteristics, { uuid: me.uuidSystemId });
-            me.modelNumberChar = _.findWhere(characteristics, { uuid: me.uuidModelNumber });
-            me.dongleSerialNumberChar = _.findWhere(characteristics, { uuid: me.uuidDongleSerialNumber });
-            me.firmwareRevisionChar = _.findWhere(characteristics, { uuid: me.uuidFirmwareRevision });
-            me.hardwareRevisionChar = _.findWhere(characteristics, { uuid: me.uuidHardwareRevision });
-            me.softwareRevisionChar = _.findWhere(characteristics, { uuid: me.uuidSoftwareRevision });
-            me.manufacturerNameChar = _.findWhere(characteristics, { uuid: me.uuidManufacturerName });
-
-
-            // Make sure the device has all the expected characteristics
-            if (
-              me.controllerService &&
-              me.productChar &&
-              me.serialChar &&
-              me.faultChar &&
-              me.txCharacteristic &&
-              me.rxCharacteristic &&
-              me.uartCharacteristic
-            ) {
-
-              // read the characteristics
-              me.readCharacteristic(me.productChar)
-              .then(function(product) {
-
-                me.deviceType = product.toString();
-              })
-              .then(function() { return me.readCharacteristic(me.serialChar); })
-              .then(function(serial) {
-                me.serial = serial.toString();
-              })
-              .then(function() { return me.readCharacteristic(me.faultChar); })
-              .then(function(fault) {
-                me.fault = fault;
-              })
-              .then(function() {
-
-                // Catch emitted events from this controller
-                for (let i = 0; i < me.numStatus; i++) {
-                  if (me.statusChar[i]) {
-                    me.watcherCb[i] = null;
-                    // me.statusChar[i].on('data', me.emit.bind(me, 'status', i ));
-                    me.statusChar[i].on('data', me.onStatus.bind(me, i));
-                    // me.subscribe( me.statusChar[i] );
-                  }
-                }
+        if (err) {
+          reject(err);
+        } else {
 
-                if (me.superwatcherChar) {
-                  me.superwatchCb = null;
-                  me.superwatcherChar.on('data', me.onStatus.bind(me, 0xFF));
-                }
+          me.controllerService = _.findWhere(services, { uuid: me.uuidControllerService });
+          me.uartService = _.findWhere(services, { uuid: me.uuidUartService });
 
-                // me.statusChar.on('data', me.emit.bind(me, 'status'));
-                // me.status2Char.on('data', me.emit.bind(me, 'status2'));
-                // me.status3Char.on('data', me.emit.bind(me, 'status3'));
-                // me.status4Char.on('data', me.emit.bind(me, 'status4'));
-                // me.status5Char.on('data', me.emit.bind(me, 'status5'));
-                me.faultChar.on('data', me.emit.bind(me, 'fault'));
 
-                // This is what sends received data to the modbus master
-                // for processing
-                me.rxCharacteristic.on('data', me.emit.bind(me, 'data'));
+          // me.commandChar = _.findWhere(characteristics, {uuid: me.uuidCommand });
+          // me.responseChar = _.findWhere(characteristics, {uuid: me.uuidResponse });
+          me.productChar = _.findWhere(characteristics, { uuid: me.uuidProduct });
+          me.serialChar = _.findWhere(characteristics, { uuid: me.uuidSerial });
+          me.faultChar = _.findWhere(characteristics, { uuid: me.uuidFault });
 
-                // me.responseChar.on('data', me.onResponse.bind(me));
+          for (let i = 0; i < me.numStatus; i++) {
+            me.statusChar[i] = _.findWhere(characteristics, { uuid: me.uuidStatus[i] });
 
-              })
-              // .then( function() { return me.subscribe( me.responseChar ); })
-              .then(function() { return me.subscribe(me.faultChar); })
-              // .then( function() { return me.subscribe( me.statusChar ); })
-              // .then( function() { return me.subscribe( me.status2Char ); })
-              // .then( function() { return me.subscribe( me.status3Char ); })
-              // .then( function() { return me.subscribe( me.status4Char ); })
-              // .then( function() { return me.subscribe( me.status5Char ); })
-              .then(function() { return me.subscribe(me.uartCharacteristic); })
-              .then(function() { return me.subscribe(me.rxCharacteristic); })
+          }
 
-              .then(function() {
-                resolve();
-              })
+          me.superwatcherChar = _.findWhere(characteristics, { uuid: me.uuidSuperwatcher });
+
+          
+          me.txCharacteristic = _.findWhere(characteristics, { uuid: me.uuidTx });
+          me.rxCharacteristic = _.findWhere(characteristics, { uuid: me.uuidRx });
+          me.uartCharacteristic = _.findWhere(characteristics, { uuid: me.uuidUartControl });
+
+          // me.positionChar = _.findWhere(characteristics, {uuid: me.uuidPosition });
+
+          me.systemIdChar = _.findWhere(characteristics, { uuid: me.uuidSystemId });
+          me.modelNumberChar = _.findWhere(characteristics, { uuid: me.uuidModelNumber });
+          me.dongleSerialNumberChar = _.findWhere(characteristics, { uuid: me.uuidDongleSerialNumber });
+          me.firmwareRevisionChar = _.findWhere(characteristics, { uuid: me.uuidFirmwareRevision });
+          me.hardwareRevisionChar = _.findWhere(characteristics, { uuid: me.uuidHardwareRevision });
+          me.softwareRevisionChar = _.findWhere(characteristics, { uuid: me.uuidSoftwareRevision });
+          me.manufacturerNameChar = _.findWhere(characteristics, { uuid: me.uuidManufacturerName });
+
+
+          // Make sure the device has all the expected characteristics
+          let missing = [
+            'controllerService',
+            'productChar',
+            'serialChar',
+            'faultChar',
+            'txCharacteristic',
+            'rxCharacteristic',
+            'uartCharacteristic',
+          ].filter((name) => !me[name]);
+
+          if (missing.length === 0) {
+
+            // read the characteristics
+            me.readCharacteristic(me.productChar)
+            .then(function(product) {
+
+              me.deviceType = product.toString();
+            })
+            .then(function() { return me.readCharacteristic(me.serialChar); })
+            .then(function(serial) {
+              me.serial = serial.toString();
+            })
+            .then(function() { return me.readCharacteristic(me.faultChar); })
+            .then(function(fault) {
+              me.fault = fault;
+            })
+            .then(function() {
+
+              // Catch emitted events from this controller
+              for (let i = 0; i < me.numStatus; i++) {
+                if (me.statusChar[i]) {
+                  me.watcherCb[i] = null;
+                  // me.statusChar[i].on('data', me.emit.bind(me, 'status', i ));
+                  me.listen(me.statusChar[i], me.onStatus.bind(me, i));
+                  // me.subscribe( me.statusChar[i] );
+                }
+              }
+
+              if (me.superwatcherChar) {
+                me.superwatchCb = null;
+                me.listen(me.superwatcherChar, me.onStatus.bind(me, 0xFF));
+              }
+
+              // me.statusChar.on('data', me.emit.bind(me, 'status'));
+              // me.status2Char.on('data', me.emit.bind(me, 'status2'));
+              // me.status3Char.on('data', me.emit.bind(me, 'status3'));
+              // me.status4Char.on('data', me.emit.bind(me, 'status4'));
+              // me.status5Char.on('data', me.emit.bind(me, 'status5'));
+              me.listen(me.faultChar, me.emit.bind(me, 'fault'));
+
+              // This is what sends received data to the modbus master
+              // for processing
+              me.listen(me.rxCharacteristic, me.emit.bind(me, 'data'));
+
+              // me.responseChar.on('data', me.onResponse.bind(me));
+
+            })
+            // .then( function() { return me.subscribe( me.responseChar ); })
+            .then(function() { return me.subscribe(me.faultChar); })
+            // .then( function() { return me.subscribe( me.statusChar ); })
+            // .then( function() { return me.subscribe( me.status2Char ); })
+            // .then( function() { return me.subscribe( me.status3Char ); })
+            // .then( function() { return me.subscribe( me.status4Char ); })
+            // .then( function() { return me.subscribe( me.status5Char ); })
+            .then(function() { return me.subscribe(me.uartCharacteristic); })
+            .then(function() { return me.subscribe(me.rxCharacteristic); })
+
+            .then(function() {
+              resolve();
+            })
 
-              .catch(function(err) {
+            .catch(function(err) {
 
-                reject(err);
-              });
+              reject(err);
+            });
 
 
-            } else {
-              reject(new Error('Device services/characteristics are not compatible'));
-            }
+          } else {
+            reject(new IncompatibleDeviceError(
+              'Device services/characteristics are not compatible; missing ' + missing.join(', '),
+              missing));
           }
+        }
 
-        });
+      };
+
+      me.transport.discover(serviceUUIDs)
+      .then(
+        (found) => onDiscovered(null, found.services, found.characteristics),
+        (err) => onDiscovered(err))
+      .catch(reject);
     });
 
   }
@@ -975,6 +1274,8 @@ class Dongle extends EventEmitter {
    */
   async writeAccessKey(key) {
 
+    this.requireSupport('accessKey', { unit: this.id, opcode: FC_WRITE_OBJECT, address: OBJECT_INFO });
+
     // let buf = Buffer(OBJECT_INFO_SIZE).full(0xFF);
 
     await this.writeObject(this.id, OBJECT_INFO, Buffer.from(key));
@@ -988,21 +1289,121 @@ class Dongle extends EventEmitter {
    */
   async readAccessKey() {
 
+    this.requireSupport('accessKey', { unit: this.id, opcode: FC_READ_OBJECT, address: OBJECT_INFO });
+
     let buf = await this.readObject(this.id, OBJECT_INFO);
 
     return buf;
 
   }
 
+  // Passes a notification to a watcher, reporting one it can't decode
+  notifyWatcher(watcher, data, slot) {
+
+    let err = watcher.notify(data, slot);
+
+    if (err) {
+      this.emit('decodeError', err, slot, data);
+    }
+  }
+
   onStatus(slot, data) {
 
     // console.log('onStatus', slot, data, this.watcherCb[slot]);
 
     if (slot < this.numStatus && 'function' === typeof(this.watcherCb[slot])) {
       this.watcherCb[slot](data, slot);
-    } else if (slot == SLOT_SUPERWATCH) {
+    } else if (slot == SLOT_SUPERWATCH && 'function' === typeof(this.superwatchCb)) {
       this.superwatchCb(data, slot);
     }
+
+    this.emit('status', slot, data);
+  }
+
+  /**
+   * Parses a software revision string such as '1.8' or '1.10.2'
+   *
+   * @param      {string}  text    The revision
+   * @return     {Object}  { major, minor, patch, text }, or null if it can't be parsed
+   */
+  static parseVersion(text) {
+
+    let match = /(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(String(text));
+
+    if (!match) {
+      return null;
+    }
+
+    return {
+      major: parseInt(match[1], 10),
+      minor: parseInt(match[2] || '0', 10),
+      patch: parseInt(match[3] || '0', 10),
+      text: String(text).trim(),
+    };
+  }
+
+  /**
+   * Tells whether the connected dongle's firmware has a capability
+   *
+   * The capabilities are getWatchers, superwatch, writeMemoryVerify
+   * and accessKey.  The answer is false until readDongleInfo() has been called.
+   *
+   * @param      {string}   capability  The capability
+   * @return     {boolean}  true if it is supported
+   */
+  supports(capability) {
+
+    let minimum = CAPABILITIES[capability];
+    let version = this.softwareVersion;
+
+    if (!minimum) {
+      throw new Error('Unknown capability ' + capability);
+    }
+
+    if (!version) {
+      return false;
+    }
+
+    let actual = [version.major, version.minor, version.patch];
+
+    for (let i = 0; i < minimum.length; i++) {
+      if (actual[i] !== minimum[i]) {
+        return actual[i] > minimum[i];
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Returns the list of capabilities the connected firmware supports
+   *
+   * @return     {Array}  capability names
+   */
+  capabilities() {
+    return Object.keys(CAPABILITIES).filter((capability) => this.supports(capability));
+  }
+
+  // Returns an UnsupportedFirmwareError if the firmware is known to lack a
+  // capability.  If the firmware revision hasn't been read, we let the
+  // dongle decide.  context says which request needed it
+  checkSupport(capability, context) {
+
+    if (this.softwareVersion && !this.supports(capability)) {
+      return new UnsupportedFirmwareError(capability, this.softwareVersion.text, context);
+    }
+
+    return null;
+  }
+
+  // Throws if the firmware is known to lack a capability
+  requireSupport(capability, context) {
+
+    let err = this.checkSupport(capability, context);
+
+    if (err) {
+      throw err;
+    }
   }
 
   readDongleInfo() {
@@ -1020,6 +1421,8 @@ class Dongle extends EventEmitter {
       ])
     .then(function(results) {
 
+      me.softwareVersion = Dongle.parseVersion(results[5].toString());
+
       return {
         systemId: results[0],
         modelNumber: results[1].toString(),
@@ -1043,6 +1446,8 @@ class Dongle extends EventEmitter {
 
     if (me.txCharacteristic) {
 
+      me.emit('write', data);
+
       var writes = [];
 
       var index = 0;
@@ -1088,29 +1493,24 @@ class Dongle extends EventEmitter {
     return new Promise(function(resolve, reject) {
 
       // Make a bluetooth connection to the device
-      me.peripheral.connect(function(err) {
-
-        if (err) {
-          reject(err);
-        } else {
-
-          // interrogate the device type, etc and register for events
-          me.inspectDevice()
-          .then(function() {
+      me.transport.connect()
+      .then(function() {
 
-            if (me.deviceType) {
-              me.connected = true;
-              me.emit('open');
-              resolve();
-            } else {
-              reject(new Error('Unknown Device Type'));
-            }
-          })
-          .catch(function(err) {
-            reject(err);
-          });
+        // interrogate the device type, etc and register for events
+        return me.inspectDevice();
+      })
+      .then(function() {
 
+        if (me.deviceType) {
+          me.connected = true;
+          me.emit('open');
+          resolve();
+        } else {
+          reject(new IncompatibleDeviceError('Unknown Device Type'));
         }
+      })
+      .catch(function(err) {
+        reject(err);
       });
     });
 
@@ -1125,9 +1525,13 @@ class Dongle extends EventEmitter {
 
     var me = this;
 
+    // a deliberate disconnect is not something to recover from
+    me.closing = true;
+    me.cancelReconnect();
+
     return new Promise(function(resolve, reject) {
 
-      me.peripheral.disconnect(function(err) {
+      let onDisconnected = function(err) {
 
         me.rxCharacteristic = null;
         me.txCharacteristic = null;
@@ -1144,13 +1548,185 @@ class Dongle extends EventEmitter {
 
           resolve();
         }
-      });
+      };
+
+      me.transport.disconnect().then(() => onDisconnected(null), onDisconnected);
+
+    });
+
+  }
+
+
 
+  /**
+   * Hooks the events of a peripheral, releasing any previous one
+   *
+   * A noble peripheral is wrapped in a NobleTransport; anything else is
+   * expected to be a BLE transport already (see BleTransport).
+   *
+   * @param      {Object}  peripheral  The noble peripheral or BLE transport
+   */
+  attachPeripheral(peripheral) {
+
+    let me = this;
+
+    me.peripheralListeners.forEach((listener) => {
+      listener.target.removeListener(listener.event, listener.fn);
     });
 
+    // a transport we made for the previous peripheral is replaced below
+    if (me.transport instanceof NobleTransport && me.transport !== peripheral) {
+      me.transport.close();
+    }
+
+    me.peripheral = peripheral;
+    me.transport = BleTransport.isTransport(peripheral) ? peripheral : new NobleTransport(peripheral);
+
+    // Pass BLE events through to our user
+    me.peripheralListeners = [
+      { target: me.transport, event: 'connect', fn: me.emit.bind(me, 'connect') },
+      { target: me.transport, event: 'disconnect', fn: me.onPeripheralDisconnect.bind(me) },
+    ];
+
+    me.peripheralListeners.forEach((listener) => {
+      listener.target.on(listener.event, listener.fn);
+    });
   }
 
+  // Register for a characteristic's notifications, so it can be released later
+  listen(characteristic, fn) {
 
+    this.transport.addNotificationListener(characteristic, fn);
+    this.characteristicListeners.push({ target: characteristic, fn: fn });
+  }
+
+  // Remove the notification handlers we registered on characteristics
+  releaseCharacteristics() {
+
+    this.characteristicListeners.forEach((listener) => {
+      this.transport.removeNotificationListener(listener.target, listener.fn);
+    });
+
+    this.characteristicListeners = [];
+  }
+
+  // Called when the BLE link is lost
+  onPeripheralDisconnect() {
+
+    let me = this;
+
+    me.connected = false;
+
+    me.emit('disconnect');
+
+    if (me.options.autoReconnect && !me.closing && !me.reconnectTimer) {
+      me.reconnectAttempt = 0;
+      me.scheduleReconnect();
+    }
+
+    me.closing = false;
+  }
+
+  // Arrange for the next reconnection attempt
+  scheduleReconnect() {
+
+    let me = this;
+
+    me.reconnectAttempt++;
+
+    let delay = Math.min(
+      me.options.reconnectDelay * Math.pow(me.options.reconnectFactor, me.reconnectAttempt - 1),
+      me.options.reconnectMaxDelay);
+
+    me.emit('reconnecting', me.reconnectAttempt, delay);
+
+    me.reconnectTimer = setTimeout(() => {
+
+      me.reconnect()
+      .then(() => {
+        me.reconnectTimer = null;
+        me.reconnectAttempt = 0;
+        me.emit('reconnect');
+      })
+      .catch((err) => {
+        me.reconnectTimer = null;
+
+        if (me.closing) {
+          return;
+        }
+
+        if (me.reconnectAttempt >= me.options.reconnectAttempts) {
+          me.emit('reconnectFailed', err);
+        } else {
+          me.scheduleReconnect();
+        }
+      });
+
+    }, delay);
+  }
+
+  // Stop any pending reconnection attempt
+  cancelReconnect() {
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * Re-establishes the connection and restores the state of the dongle
+   *
+   * The peripheral is reconnected (or rediscovered, using the rediscover option)
+   * and inspected, then the configuration, keyswitch state, watchers and
+   * super watcher that were in effect are sent to the dongle again.
+   *
+   * @return     {Promise}  resolves when the dongle is back in its previous state
+   */
+  async reconnect() {
+
+    let me = this;
+
+    if ('function' === typeof(me.options.rediscover)) {
+      let peripheral = await me.options.rediscover(me.peripheral);
+
+      if (peripheral !== me.peripheral) {
+        me.attachPeripheral(peripheral);
+      }
+    }
+
+    // remember what to restore; connecting resets the callbacks
+    let watchers = me.watchers.filter((watcher) => !!watcher);
+    let superwatcher = me.superwatcher;
+
+    try {
+      await me.connect();
+
+      if (me.configuration) {
+        await me.configure(me.configuration);
+      }
+
+      if (null !== me.keyswitchState) {
+        await me.keyswitch(me.keyswitchState);
+      }
+
+      if (watchers.length > 0) {
+        await me.setWatchers(watchers);
+      }
+
+      if (superwatcher) {
+        await me.superwatch(superwatcher.id, superwatcher.definition, superwatcher.cb);
+      }
+    } catch (err) {
+
+      // make sure the next attempt starts from a clean link
+      if (me.transport.isConnected()) {
+        me.transport.disconnect().catch(() => {});
+      }
+
+      throw err;
+    }
+  }
 
   sendNextCommand() {
 
@@ -0,0 +1,327 @@
+/**
+ * Keeps several dongles connected at the same time
+ *
+ * Each dongle is a separate Dongle object, with its own MODBUS master,
+ * command queue, watchers and super watcher, so nothing done on one of them
+ * affects the others.  The manager holds them as entries:
+ *
+ *   dongle:  the Dongle
+ *   mac:     the MAC address (or the peripheral ID where the platform hides it)
+ *   serial:  the dongle serial number, once it has been read
+ *   info:    the readDongleInfo() data, once it has been read
+ *
+ * The events of every dongle are passed on by the manager with the entry in
+ * front of the dongle's own arguments, so it is clear which dongle they
+ * came from:
+ *
+ *   manager.on('status', (entry, slot, data) => {
+ *     console.log(entry.serial, entry.mac, slot, data);
+ *   });
+ *
+ * The operations in runAll() (and the helpers built on it) are carried out
+ * on every connected dongle at once.  A failure on one dongle doesn't stop
+ * the others; each resolves with a result per dongle:
+ *
+ *   { serial, mac, ok: true, value }   or   { serial, mac, ok: false, error }
+ *
+ *   let manager = new DongleManager({ dongle: { verbose: false } });
+ *
+ *   await manager.addAll(candidates.map((candidate) => candidate.peripheral));
+ *
+ *   let results = await manager.runAll((dongle) => dongle.keyswitch(true));
+ *
+ * Events:
+ *
+ * added:
+ * Emitted (entry) when a dongle has been connected and identified.
+ *
+ * removed:
+ * Emitted (entry) when a dongle has been disconnected and dropped.
+ *
+ * connect, disconnect, reconnecting, reconnect, reconnectFailed, status,
+ * fault, write, data, readMemory, decodeError:
+ * Emitted (entry, ...) for the Dongle events of the same name.  The serial
+ * is null in events that come before the dongle has been identified (the
+ * first connect, for example).
+ *
+ */
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+const { Dongle } = require('./Dongle');
+
+// The Dongle events passed on
+const EVENTS = [
+  'connect',
+  'disconnect',
+  'reconnecting',
+  'reconnect',
+  'reconnectFailed',
+  'status',
+  'fault',
+  'write',
+  'data',
+  'readMemory',
+  'decodeError',
+];
+
+
+// Makes the result of an operation on one dongle
+function result(entry, ok, outcome) {
+
+  let res = { serial: entry.serial, mac: entry.mac, ok: ok };
+
+  if (ok) {
+    res.value = outcome;
+  } else {
+    res.error = outcome;
+  }
+
+  return res;
+}
+
+
+class DongleManager extends EventEmitter {
+
+  /**
+   * Constructor
+   *
+   * @param      {Object}  options  { dongle: the options for each new Dongle }
+   */
+  constructor(options) {
+
+    super();
+
+    this.options = Object.assign({
+
+      // passed to the Dongle constructor (see Dongle)
+      dongle: {},
+
+    }, options);
+
+    // the managed dongles, in the order they were added
+    this.entries = [];
+
+    // the listeners passing on each entry's dongle events
+    this.forwarders = new Map();
+  }
+
+  /**
+   * Connects to a dongle and identifies it
+   *
+   * @param      {Object}   peripheral  The noble peripheral (or BLE transport)
+   * @param      {Object}   options     Dongle options for this one, over the manager's
+   * @return     {Promise}  resolves with the entry
+   */
+  add(peripheral, options) {
+
+    let me = this;
+    let mac = peripheral.address || peripheral.id || null;
+
+    // a second Dongle on the same peripheral would fight over it
+    if (mac && me.get(mac)) {
+      return Promise.reject(new Error('Dongle ' + mac + ' is already managed'));
+    }
+
+    let dongle = new Dongle(peripheral, Object.assign({}, me.options.dongle, options));
+
+    let entry = {
+      dongle: dongle,
+      mac: mac,
+      serial: null,
+      info: null,
+    };
+
+    // pass the dongle events on, saying which dongle they came from
+    let listeners = {};
+
+    EVENTS.forEach((event) => {
+      listeners[event] = function() {
+        me.emit.apply(me, [event, entry].concat(Array.from(arguments)));
+      };
+
+      dongle.on(event, listeners[event]);
+    });
+
+    me.forwarders.set(entry, listeners);
+    me.entries.push(entry);
+
+    return dongle.connect()
+    .then(() => dongle.readDongleInfo())
+    .then((info) => {
+
+      entry.info = info;
+      entry.serial = info.serialNumber;
+
+      me.emit('added', entry);
+
+      return entry;
+    })
+    .catch((err) => {
+
+      me.forget(entry);
+
+      return dongle.disconnect()
+      .catch(() => {})
+      .then(() => {
+        throw err;
+      });
+    });
+  }
+
+  /**
+   * Connects to several dongles at once
+   *
+   * @param      {Array}    peripherals  The noble peripherals
+   * @return     {Promise}  resolves with a result per peripheral; the value is the entry
+   */
+  addAll(peripherals) {
+
+    let me = this;
+
+    return Promise.all(peripherals.map((peripheral) => {
+
+      let tag = { serial: null, mac: peripheral.address || peripheral.id || null };
+
+      return me.add(peripheral)
+      .then((entry) => result(entry, true, entry))
+      .catch((err) => result(tag, false, err));
+    }));
+  }
+
+  /**
+   * Disconnects a dongle and stops managing it
+   *
+   * @param      {Object|string}  which   The entry, its serial number or its MAC
+   * @return     {Promise}  resolves when disconnected
+   */
+  remove(which) {
+
+    let me = this;
+    let entry = ('object' === typeof(which)) ? which : me.get(which);
+
+    if (!entry || me.entries.indexOf(entry) < 0) {
+      return Promise.reject(new Error('Unknown dongle: ' + which));
+    }
+
+    return entry.dongle.disconnect()
+    .then(() => {
+      me.forget(entry);
+      me.emit('removed', entry);
+    });
+  }
+
+  /**
+   * Finds a dongle
+   *
+   * @param      {string}  key     The serial number or MAC
+   * @return     {Object}  the entry, or undefined
+   */
+  get(key) {
+
+    let mac = String(key).toLowerCase();
+
+    return this.entries.find((entry) => entry.serial === key ||
+      (!!entry.mac && entry.mac.toLowerCase() === mac));
+  }
+
+  /**
+   * The dongles that are connected now
+   *
+   * @return     {Array}  their entries
+   */
+  connected() {
+
+    return this.entries.filter((entry) => entry.dongle.isConnected());
+  }
+
+  /**
+   * Carries out an operation on every connected dongle at once
+   *
+   * @param      {Function}  fn      function(dongle, entry) returning a value or a Promise
+   * @return     {Promise}   resolves with a result per dongle
+   */
+  runAll(fn) {
+
+    return Promise.all(this.connected().map((entry) => {
+
+      return new Promise((resolve) => resolve(fn(entry.dongle, entry)))
+      .then((value) => result(entry, true, value))
+      .catch((err) => result(entry, false, err));
+    }));
+  }
+
+  /**
+   * Configures every connected dongle (see Dongle.configure())
+   *
+   * @param      {Object}   options  The configuration
+   * @return     {Promise}  resolves with a result per dongle
+   */
+  configureAll(options) {
+
+    return this.runAll((dongle) => dongle.configure(options));
+  }
+
+  /**
+   * Sets the keyswitch of every connected dongle
+   *
+   * @param      {boolean}  state   The state
+   * @return     {Promise}  resolves with a result per dongle
+   */
+  keyswitchAll(state) {
+
+    return this.runAll((dongle) => dongle.keyswitch(state));
+  }
+
+  /**
+   * Reads the same memory from the controller behind every connected dongle
+   *
+   * @param      {number}   id       The controller ID
+   * @param      {number}   address  The address
+   * @param      {number}   length   The number of bytes
+   * @return     {Promise}  resolves with a result per dongle; the value is the data
+   */
+  readMemoryAll(id, address, length) {
+
+    return this.runAll((dongle) => dongle.readMemory(id, address, length));
+  }
+
+  /**
+   * Disconnects every dongle and stops managing them
+   *
+   * @return     {Promise}  resolves with a result per dongle
+   */
+  close() {
+
+    let me = this;
+
+    return Promise.all(me.entries.slice().map((entry) => {
+
+      return me.remove(entry)
+      .then(() => result(entry, true))
+      .catch((err) => {
+        me.forget(entry);
+        return result(entry, false, err);
+      });
+    }));
+  }
+
+  // Stops passing on a dongle's events, and drops it from the list
+  forget(entry) {
+
+    let listeners = this.forwarders.get(entry) || {};
+
+    Object.keys(listeners).forEach((event) => {
+      entry.dongle.removeListener(event, listeners[event]);
+    });
+
+    this.forwarders.delete(entry);
+
+    this.entries = this.entries.filter((e) => e !== entry);
+  }
+}
+
+DongleManager.EVENTS = EVENTS;
+
+module.exports = DongleManager;
@@ -0,0 +1,409 @@
+/**
+ * Finds dongles by scanning for the dongle service
+ *
+ * Wraps noble's startScanning() with a time limit, and collects the dongles
+ * that advertise as candidates:
+ *
+ *   peripheral:    the noble peripheral, to pass to new Dongle()
+ *   address:       the MAC address (may be empty on platforms that hide it)
+ *   localName:     the advertised name
+ *   rssi:          the signal strength in dBm, from the latest advertisement
+ *   advertisement: the advertisement data as noble reports it
+ *
+ * Only candidates that pass the filter options (mac, name, minRssi) are
+ * kept.  find() resolves with the first one as soon as it is seen, which is
+ * the right thing when the MAC is known; scan() listens for the whole time
+ * and resolves with all of them, strongest first, and choose() lets the
+ * user pick one of those.  select() does one or the other, depending on the
+ * choose option:
+ *
+ *   let scanner = new DongleScanner(ble, { minRssi: -70, choose: true });
+ *
+ *   let candidate = await scanner.select();
+ *
+ *   let dongle = new Dongle(candidate.peripheral);
+ *
+ * Events:
+ *
+ * scanStart:
+ * Emitted when scanning starts.
+ *
+ * scanStop:
+ * Emitted when scanning stops.
+ *
+ * candidate:
+ * Emitted (candidate) the first time a matching dongle is seen.
+ *
+ * ignored:
+ * Emitted (candidate) the first time a dongle that doesn't match is seen.
+ *
+ */
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+const readline = require('readline');
+
+const { serviceId } = require('./Dongle');
+
+const DEFAULT_TIMEOUT = 5000;
+
+
+// Puts a MAC address in a form that can be compared (lower case, no separators)
+function normalizeMac(mac) {
+  return String(mac || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+// Makes a candidate from a discovered peripheral
+function toCandidate(peripheral) {
+
+  let advertisement = peripheral.advertisement || {};
+
+  return {
+    peripheral: peripheral,
+    address: peripheral.address || '',
+    localName: advertisement.localName || '',
+    rssi: peripheral.rssi,
+    advertisement: advertisement,
+  };
+}
+
+// Formats a candidate as one line of a list
+function describeCandidate(candidate) {
+
+  return (candidate.localName || '(no name)') +
+    '  MAC: ' + (candidate.address || 'unknown') +
+    '  RSSI: ' + candidate.rssi;
+}
+
+
+class DongleScanner extends EventEmitter {
+
+  /**
+   * Constructor
+   *
+   * @param      {Object}  ble      The noble instance
+   * @param      {Object}  options  The options (see below)
+   */
+  constructor(ble, options) {
+
+    super();
+
+    this.ble = ble;
+
+    this.options = Object.assign({
+
+      // how long to scan for, in milliseconds
+      timeout: DEFAULT_TIMEOUT,
+
+      // only the dongle with this MAC address
+      mac: null,
+
+      // only dongles whose local name contains this string, or matches this RegExp
+      name: null,
+
+      // only dongles at least this strong, in dBm (eg -70)
+      minRssi: null,
+
+      // select() lists what it finds and asks the user to choose
+      choose: false,
+
+    }, options);
+
+    // command line options may leave it undefined
+    this.options.timeout = Number(this.options.timeout) || DEFAULT_TIMEOUT;
+
+    // the candidates seen during the current scan, by peripheral ID
+    this.seen = {};
+
+    // set while scanning, to finish the scan early
+    this.finish = null;
+  }
+
+  /**
+   * Formats a candidate for display
+   *
+   * @param      {Object}  candidate  The candidate
+   * @return     {string}
+   */
+  static describe(candidate) {
+    return describeCandidate(candidate);
+  }
+
+  /**
+   * Asks the user to choose one of the candidates
+   *
+   * The candidates are listed with a number, and the user types the number
+   * of the one they want.  If there is only one, it is chosen without asking.
+   *
+   * @param      {Array}    candidates  The candidates (from scan())
+   * @param      {Object}   options     { input, output } streams (default stdin and stdout)
+   * @return     {Promise}  resolves with the chosen candidate
+   */
+  static choose(candidates, options) {
+
+    options = Object.assign({
+      input: process.stdin,
+      output: process.stdout,
+    }, options);
+
+    return new Promise(function(resolve, reject) {
+
+      if (candidates.length === 0) {
+        reject(new Error('No dongles to choose from'));
+        return;
+      }
+
+      if (candidates.length === 1) {
+        resolve(candidates[0]);
+        return;
+      }
+
+      candidates.forEach((candidate, index) => {
+        options.output.write('  ' + (index + 1) + ') ' + describeCandidate(candidate) + '\n');
+      });
+
+      let rl = readline.createInterface({ input: options.input, output: options.output });
+
+      let chosen = null;
+
+      let ask = function() {
+        rl.question('Choose a dongle [1-' + candidates.length + ']: ', (answer) => {
+
+          let index = parseInt(answer, 10) - 1;
+
+          if (index >= 0 && index < candidates.length) {
+            chosen = candidates[index];
+            rl.close();
+          } else {
+            ask();
+          }
+        });
+      };
+
+      rl.on('close', () => {
+        if (chosen) {
+          resolve(chosen);
+        } else {
+          reject(new Error('No dongle chosen'));
+        }
+      });
+
+      ask();
+    });
+  }
+
+  /**
+   * Tells whether a candidate passes the filter options
+   *
+   * @param      {Object}   candidate  The candidate
+   * @return     {boolean}
+   */
+  matches(candidate) {
+
+    let options = this.options;
+
+    if (options.mac && normalizeMac(candidate.address) !== normalizeMac(options.mac)) {
+      return false;
+    }
+
+    if (options.name) {
+      let matched = (options.name instanceof RegExp) ?
+        options.name.test(candidate.localName) :
+        candidate.localName.indexOf(options.name) >= 0;
+
+      if (!matched) {
+        return false;
+      }
+    }
+
+    if (null !== options.minRssi && undefined !== options.minRssi &&
+      !(candidate.rssi >= options.minRssi)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Scans for the whole timeout
+   *
+   * @return     {Promise}  resolves with the matching candidates, strongest first
+   */
+  scan() {
+
+    return this.run(false)
+    .then((candidates) => candidates.sort((a, b) => b.rssi - a.rssi));
+  }
+
+  /**
+   * Scans until a matching dongle is seen
+   *
+   * @return     {Promise}  resolves with its candidate; rejects if none is seen in time
+   */
+  find() {
+
+    let me = this;
+
+    return me.run(true)
+    .then((candidates) => {
+
+      if (candidates.length === 0) {
+        throw new Error('No matching dongle found in ' + me.options.timeout + 'ms');
+      }
+
+      return candidates[0];
+    });
+  }
+
+  /**
+   * Finds the dongle to use: the first match, or with the choose option,
+   * the one the user picks from all the matches
+   *
+   * @return     {Promise}  resolves with its candidate
+   */
+  select() {
+
+    if (this.options.choose) {
+      return this.scan().then((candidates) => DongleScanner.choose(candidates));
+    }
+
+    return this.find();
+  }
+
+  /**
+   * Stops a scan in progress; it resolves with what has been seen so far
+   */
+  stop() {
+
+    if (this.finish) {
+      this.finish();
+    }
+  }
+
+  // Waits for the adapter to be ready, then scans.  Resolves with the
+  // matching candidates, when the time is up or (if first is set) as soon as
+  // there is one
+  run(first) {
+
+    let me = this;
+    let ble = me.ble;
+
+    if (me.finish) {
+      return Promise.reject(new Error('Already scanning'));
+    }
+
+    me.seen = {};
+
+    return new Promise(function(resolve, reject) {
+
+      let timer;
+
+      let results = function() {
+        return Object.keys(me.seen)
+        .map((id) => me.seen[id])
+        .filter((entry) => entry.matched)
+        .map((entry) => entry.candidate);
+      };
+
+      let onDiscover = function(peripheral) {
+
+        let id = peripheral.id || peripheral.uuid || peripheral.address;
+        let entry = me.seen[id];
+
+        if (entry) {
+
+          // seen again; keep the latest signal strength, which may now be
+          // strong enough
+          entry.candidate.rssi = peripheral.rssi;
+          entry.candidate.advertisement = peripheral.advertisement || entry.candidate.advertisement;
+
+          if (entry.matched || !me.matches(entry.candidate)) {
+            return;
+          }
+
+          entry.matched = true;
+
+        } else {
+
+          let candidate = toCandidate(peripheral);
+
+          entry = { candidate: candidate, matched: me.matches(candidate) };
+          me.seen[id] = entry;
+
+          if (!entry.matched) {
+            me.emit('ignored', candidate);
+            return;
+          }
+        }
+
+        me.emit('candidate', entry.candidate);
+
+        if (first) {
+          done();
+        }
+      };
+
+      let onStateChange = function(state) {
+
+        if ('poweredOn' === state) {
+          start();
+        } else if ('unknown' !== state && 'resetting' !== state) {
+          fail(new Error('Bluetooth is not available (' + state + ')'));
+        }
+      };
+
+      let cleanup = function() {
+
+        clearTimeout(timer);
+        me.finish = null;
+
+        ble.removeListener('discover', onDiscover);
+        ble.removeListener('stateChange', onStateChange);
+      };
+
+      let done = function() {
+
+        cleanup();
+
+        if (ble.stopScanning) {
+          ble.stopScanning();
+        }
+
+        me.emit('scanStop');
+        resolve(results());
+      };
+
+      let fail = function(err) {
+        cleanup();
+        reject(err);
+      };
+
+      let start = function() {
+
+        ble.removeListener('stateChange', onStateChange);
+        ble.on('discover', onDiscover);
+
+        me.emit('scanStart');
+
+        // with duplicates, so that the signal strength stays current
+        ble.startScanning([serviceId], true);
+      };
+
+      me.finish = done;
+
+      // the time limit includes waiting for the adapter
+      timer = setTimeout(done, me.options.timeout);
+
+      if ('poweredOn' === ble.state) {
+        start();
+      } else {
+        ble.on('stateChange', onStateChange);
+      }
+    });
+  }
+}
+
+DongleScanner.DEFAULT_TIMEOUT = DEFAULT_TIMEOUT;
+
+module.exports = DongleScanner;
@@ -0,0 +1,161 @@
+/**
+ * The differences between a reference EEPROM image and a controller's EEPROM
+ *
+ * Created by MotorController.compare().  Holds the changed locations, and the
+ * writeMemory operations that would bring the controller back in line with
+ * the reference.
+ *
+ */
+
+// Differences this close together are fixed with a single write; rewriting a
+// few unchanged bytes is cheaper than another transaction
+const MERGE_GAP = 4;
+
+// Largest write the protocol allows
+const MAX_WRITE = 250;
+
+
+// returns a hex string with prepended zeros to the requested length
+function hex(number, length) {
+  return '0x' + ('0000' + number.toString(16).toUpperCase()).slice(-length);
+}
+
+
+module.exports = class EepromDiff {
+
+  /**
+   * Constructor
+   *
+   * @param      {number}  address    The address of the first byte
+   * @param      {Buffer}  reference  The known-good contents
+   * @param      {Buffer}  live       The contents read from the controller
+   */
+  constructor(address, reference, live) {
+
+    if (reference.length !== live.length) {
+      throw new Error('Cannot compare ' + reference.length + ' bytes with ' + live.length);
+    }
+
+    this.address = address;
+    this.reference = reference;
+    this.live = live;
+
+    // each changed location: { address, offset, reference, live }
+    this.changes = [];
+
+    for (let offset = 0; offset < reference.length; offset++) {
+      if (reference[offset] !== live[offset]) {
+        this.changes.push({
+          address: address + offset,
+          offset: offset,
+          reference: reference[offset],
+          live: live[offset],
+        });
+      }
+    }
+
+    this.writes = this.buildWrites();
+  }
+
+  /**
+   * Tells whether the controller matches the reference
+   *
+   * @return     {boolean}
+   */
+  isEqual() {
+    return this.changes.length === 0;
+  }
+
+  // Groups the changes into as few writes as possible
+  buildWrites() {
+
+    let writes = [];
+    let start = null;
+    let end = null;
+
+    let flush = () => {
+      if (start !== null) {
+        writes.push({
+          address: this.address + start,
+          values: Buffer.from(this.reference.slice(start, end + 1)),
+        });
+      }
+    };
+
+    this.changes.forEach((change) => {
+
+      if (start !== null &&
+        change.offset - end <= MERGE_GAP &&
+        change.offset - start < MAX_WRITE) {
+        end = change.offset;
+      } else {
+        flush();
+        start = change.offset;
+        end = change.offset;
+      }
+    });
+
+    flush();
+
+    return writes;
+  }
+
+  /**
+   * Writes the reference values into the controller
+   *
+   * @param      {MotorController}  controller  The controller
+   * @return     {Promise}  Resolves when all the writes are complete
+   */
+  async apply(controller) {
+
+    for (let i = 0; i < this.writes.length; i++) {
+      await controller.writeMemory(this.writes[i].address, this.writes[i].values);
+    }
+
+  }
+
+  /**
+   * Formats the changes as a text table
+   *
+   * @return     {string}
+   */
+  toTable() {
+
+    if (this.isEqual()) {
+      return 'No differences';
+    }
+
+    let lines = ['Address  Offset  Reference  Live'];
+
+    this.changes.forEach((change) => {
+      lines.push(
+        hex(change.address, 4).padEnd(9) +
+        hex(change.offset, 2).padEnd(8) +
+        hex(change.reference, 2).padEnd(11) +
+        hex(change.live, 2));
+    });
+
+    lines.push(this.changes.length + ' byte(s) differ; ' +
+      this.writes.length + ' write(s) needed');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Returns the changes and fixes in a form suitable for JSON
+   *
+   * @return     {Object}
+   */
+  toJSON() {
+
+    return {
+      address: this.address,
+      length: this.reference.length,
+      changes: this.changes,
+      writes: this.writes.map((write) => ({
+        address: write.address,
+        values: write.values.toString('hex'),
+      })),
+    };
+  }
+};
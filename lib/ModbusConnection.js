@@ -0,0 +1,346 @@
+/**
+ * The MODBUS requests understood by the dongle and the motor controllers
+ *
+ * This is the base of the classes that carry those requests: Dongle (over
+ * BLE) and RtuConnection (over a serial port).  A subclass creates the
+ * cs-modbus master as this.master, and provides isConnected().  MotorController
+ * only uses the methods defined here, so it works with any of them.
+ *
+ * When the readScheduler property is set (see ReadScheduler), reads without
+ * options may be merged with nearby reads.
+ *
+ * Events:
+ *
+ * readMemory:
+ * Emitted (unit, address, data, latency) for each successful memory read
+ * transaction, with the milliseconds it took to get the response.
+ *
+ */
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+const {
+  TimeoutError,
+  ModbusExceptionError,
+  CommandStatusError,
+  NotConnectedError,
+} = require('./errors');
+
+// MODBUS function codes, used to say which request failed
+const FC_REPORT_SLAVE_ID = 0x11;
+const FC_READ_OBJECT = 0x43;
+const FC_WRITE_OBJECT = 0x44;
+const FC_READ_MEMORY = 0x45;
+const FC_WRITE_MEMORY = 0x46;
+const FC_WRITE_MEMORY_VERIFY = 0x64;
+
+
+// Converts the outcome of a MODBUS transaction into one of our error types
+// (see ./errors), or null if it succeeded.  context is { unit, opcode, address }
+function transactionError(err, response, context) {
+
+  if (response && response.exceptionCode) {
+    return new ModbusExceptionError(response.exceptionCode, context);
+  }
+
+  if (err && 'ResponseTimeoutError' === err.name) {
+    return new TimeoutError(context, err);
+  }
+
+  return err || null;
+}
+
+
+module.exports = class ModbusConnection extends EventEmitter {
+
+  constructor() {
+
+    super();
+
+    // the cs-modbus master; created by the subclass
+    this.master = null;
+
+    // merges small reads when set
+    this.readScheduler = null;
+  }
+
+  // Overridden by the subclass to say whether requests can be sent
+  isConnected() {
+    return false;
+  }
+
+  // Returns an error if the device is known to lack a capability (see
+  // Dongle.checkSupport).  By default we let the device decide.
+  checkSupport(capability, context) {
+    return null;
+  }
+
+  // Send a command PDU to the device
+  command(dest, id, values, options) {
+
+    let me = this;
+    let context = { unit: dest, opcode: id };
+
+    if (!me.isConnected()) {
+      return Promise.reject(new NotConnectedError(context));
+    }
+
+    return new Promise(function(resolve, reject) {
+
+      options = options || {};
+
+      options.onComplete = function(err, response) {
+        err = transactionError(err, response, context);
+
+        if (err) {
+          reject(err);
+        } else {
+          if (response.values && response.values[0] === 0) {
+            resolve(response);
+          } else {
+            reject(new CommandStatusError((response.values) ? response.values[0] : null, context));
+          }
+        }
+      };
+
+      options.unit = dest;
+
+      me.master.command(id, values, options);
+
+    });
+  }
+
+  // Read device memory using the MODBUS read memory function code
+  // returns a Promise that resolves with the data.  When the readCoalesceWindow
+  // option is set, reads without options may be merged with nearby reads
+  readMemory(dest, address, length, options) {
+
+    if (this.readScheduler && !options) {
+      return this.readScheduler.schedule(dest, address, length);
+    }
+
+    return this.sendReadMemory(dest, address, length, options);
+  }
+
+  // Sends a read memory transaction
+  // returns a Promise that resolves with the data
+  sendReadMemory(dest, address, length, options) {
+
+    let me = this;
+    let context = { unit: dest, opcode: FC_READ_MEMORY, address: address };
+
+    if (!me.isConnected()) {
+      return Promise.reject(new NotConnectedError(context));
+    }
+
+    return new Promise(function(resolve, reject) {
+
+      let sent = Date.now();
+
+      options = options || {};
+
+      options.onComplete = function(err, response) {
+        err = transactionError(err, response, context);
+
+        if (err) {
+          reject(err);
+        } else {
+          me.emit('readMemory', dest, address, response.values, Date.now() - sent);
+          resolve(response.values);
+        }
+      };
+
+      //options.onError = reject;
+      options.unit = dest;
+
+      me.master.readMemory(address, length, options);
+
+    });
+  }
+
+  // Write to device memory using the MODBUS write memory function code
+  // returns a Promise that resolves when the write is complete
+  writeMemory(dest, address, data, options) {
+
+    let me = this;
+    let context = { unit: dest, opcode: FC_WRITE_MEMORY, address: address };
+
+    if (!me.isConnected()) {
+      return Promise.reject(new NotConnectedError(context));
+    }
+
+    return new Promise(function(resolve, reject) {
+
+      options = options || {};
+
+      options.onComplete = function(err, response) {
+        err = transactionError(err, response, context);
+
+        if (err) {
+          reject(err);
+        } else {
+          if (response.status === 0) {
+            resolve();
+          } else {
+            reject(new CommandStatusError(response.status, context));
+          }
+        }
+      };
+
+      options.unit = dest;
+
+      me.master.writeMemory(address, data, options);
+
+    });
+  }
+
+
+  // Write to device memory using the MODBUS write memory with verification function code
+  // returns a Promise that resolves when the write is complete
+  writeMemoryVerify(dest, address, data, options) {
+
+    let me = this;
+    let context = { unit: dest, opcode: FC_WRITE_MEMORY_VERIFY, address: address };
+
+    let unsupported = me.checkSupport('writeMemoryVerify', context);
+    if (unsupported) {
+      return Promise.reject(unsupported);
+    }
+
+    if (!me.isConnected()) {
+      return Promise.reject(new NotConnectedError(context));
+    }
+
+    return new Promise(function(resolve, reject) {
+
+      options = options || {};
+
+      options.onComplete = function(err, response) {
+        err = transactionError(err, response, context);
+
+        if (err) {
+          reject(err);
+        } else {
+          if (response.status === 0) {
+            resolve();
+          } else {
+            reject(new CommandStatusError(response.status, context));
+          }
+        }
+      };
+
+      options.unit = dest;
+
+      me.master.writeMemoryVerify(address, data, options);
+
+    });
+  }
+
+
+  // Ask a device to identify itself using the MODBUS report slave ID function code
+  // returns a Promise that resolves with { product, run, version }
+  reportSlaveId(dest, options) {
+
+    let me = this;
+    let context = { unit: dest, opcode: FC_REPORT_SLAVE_ID };
+
+    if (!me.isConnected()) {
+      return Promise.reject(new NotConnectedError(context));
+    }
+
+    return new Promise(function(resolve, reject) {
+
+      options = options || {};
+
+      options.onComplete = function(err, response) {
+        err = transactionError(err, response, context);
+
+        if (err) {
+          reject(err);
+        } else {
+          resolve({
+            product: response.product,
+            run: response.run,
+            version: response.version.join('.'),
+          });
+        }
+      };
+
+      options.unit = dest;
+
+      me.master.reportSlaveId(options);
+
+    });
+  }
+
+  // Read data object from device
+  // returns a Promise that resolves when the read is complete
+  readObject(dest, objectId, options) {
+
+    let me = this;
+    let context = { unit: dest, opcode: FC_READ_OBJECT, address: objectId };
+
+    if (!me.isConnected()) {
+      return Promise.reject(new NotConnectedError(context));
+    }
+
+    return new Promise(function(resolve, reject) {
+
+      options = options || {};
+
+      options.onComplete = function(err, response) {
+        err = transactionError(err, response, context);
+
+        if (err) {
+          reject(err);
+        } else {
+          resolve(response.values);
+        }
+      };
+
+      //options.onError = reject;
+      options.unit = dest;
+
+      me.master
+      .readObject(objectId, options);
+
+    });
+  }
+
+  // Write a data object in the device
+  // returns a Promise that resolves when the write is complete
+  writeObject(dest, objectId, data, options) {
+
+    let me = this;
+    let context = { unit: dest, opcode: FC_WRITE_OBJECT, address: objectId };
+
+    if (!me.isConnected()) {
+      return Promise.reject(new NotConnectedError(context));
+    }
+
+    return new Promise(function(resolve, reject) {
+
+      options = options || {};
+
+      options.onComplete = function(err, response) {
+        err = transactionError(err, response, context);
+
+        if (err) {
+          reject(err);
+        } else {
+          if (response.status === 0) {
+            resolve(true);
+          } else {
+            reject(new CommandStatusError(response.status, context));
+          }
+        }
+      };
+
+      options.unit = dest;
+
+      me.master.writeObject(objectId, data, options);
+
+    });
+  }
+};
@@ -0,0 +1,290 @@
+/**
+ * A MODBUS TCP server that passes requests through a connected dongle
+ *
+ * Lets PC tools that speak MODBUS TCP reach the dongle and the controllers
+ * behind it.  Each request is sent to the unit ID given in its MBAP header:
+ * 254 for the dongle itself, 1 (or the CAN node ID) for a controller.  The
+ * request and response PDUs are passed through unchanged, so exception
+ * responses reach the client as they are.
+ *
+ * Requests from all the clients are sent one at a time, in the order they
+ * arrive, since they share the single BLE link.  If the dongle doesn't
+ * answer, the client gets exception 0x0B (gateway target device failed to
+ * respond); if the dongle is not connected, exception 0x0A (gateway path
+ * unavailable).
+ *
+ * Events:
+ *
+ * listening:
+ * Emitted (address) when the server is accepting connections.
+ *
+ * connection:
+ * Emitted (socket) when a client connects.
+ *
+ * request:
+ * Emitted (unit, pdu, socket) for each request received.
+ *
+ * error:
+ * Emitted (err) when the server fails.
+ *
+ */
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+const net = require('net');
+
+// a library that, among other things, sends and receives messages
+const Modbus = require('@csllc/cs-modbus');
+
+// The standard MODBUS TCP port
+const DEFAULT_PORT = 502;
+
+// MBAP header: transaction ID, protocol ID, length, unit ID
+const MBAP_SIZE = 7;
+
+// Largest PDU allowed by the MODBUS specification
+const MAX_PDU_SIZE = 253;
+
+// Exceptions we answer with ourselves
+const EX_GATEWAY_PATH = 0x0A;
+const EX_GATEWAY_TARGET = 0x0B;
+
+
+// A request whose PDU is sent as it is
+class RawRequest extends Modbus.functions.GenericRequest {
+
+  constructor(pdu) {
+    super(pdu[0], pdu.slice(1));
+  }
+
+  createResponse(buffer) {
+    return new RawResponse(buffer);
+  }
+}
+
+// A response kept as the PDU it arrived as
+class RawResponse {
+
+  constructor(pdu) {
+    this.pdu = Buffer.from(pdu);
+    this.exceptionCode = this.isException() ? pdu[1] : undefined;
+  }
+
+  isException() {
+    return (this.pdu[0] & 0x80) !== 0;
+  }
+
+  toBuffer() {
+    return this.pdu;
+  }
+
+  toString() {
+    return 'Raw response ' + this.pdu.toString('hex');
+  }
+}
+
+
+module.exports = class ModbusTcpGateway extends EventEmitter {
+
+  /**
+   * Constructor
+   *
+   * @param      {Dongle}  dongle   The connected dongle
+   * @param      {Object}  options  { port (default 502), host (default '127.0.0.1'), timeout (ms) }
+   */
+  constructor(dongle, options) {
+
+    super();
+
+    this.dongle = dongle;
+
+    this.options = Object.assign({
+      port: DEFAULT_PORT,
+
+      // only local tools can connect unless told otherwise
+      host: '127.0.0.1',
+
+      // how long to wait for the dongle to answer each request
+      timeout: dongle.options.defaultTimeout,
+    }, options);
+
+    this.server = null;
+    this.sockets = [];
+
+    // requests waiting to go over the BLE link
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Starts accepting connections
+   *
+   * @return     {Promise}  resolves with the address once listening
+   */
+  listen() {
+
+    let me = this;
+
+    return new Promise(function(resolve, reject) {
+
+      me.server = net.createServer(me.onConnection.bind(me));
+
+      me.server.once('error', reject);
+
+      me.server.listen(me.options.port, me.options.host, function() {
+
+        me.server.removeListener('error', reject);
+        me.server.on('error', me.emit.bind(me, 'error'));
+
+        let address = me.server.address();
+
+        me.emit('listening', address);
+        resolve(address);
+      });
+    });
+  }
+
+  /**
+   * Disconnects the clients and stops listening
+   *
+   * @return     {Promise}  resolves when the server has closed
+   */
+  close() {
+
+    let me = this;
+
+    me.sockets.forEach((socket) => socket.destroy());
+    me.sockets = [];
+
+    return new Promise(function(resolve) {
+
+      if (!me.server) {
+        resolve();
+        return;
+      }
+
+      me.server.close(() => resolve());
+      me.server = null;
+    });
+  }
+
+  // Handles a new client
+  onConnection(socket) {
+
+    let me = this;
+    let rxBuffer = Buffer.alloc(0);
+
+    me.sockets.push(socket);
+
+    socket.on('data', function(data) {
+
+      rxBuffer = Buffer.concat([rxBuffer, data]);
+
+      // pull out as many complete frames as we have
+      while (rxBuffer.length >= MBAP_SIZE) {
+
+        let length = rxBuffer.readUInt16BE(4);
+
+        if (rxBuffer.readUInt16BE(2) !== 0 || length < 2 || length > MAX_PDU_SIZE + 1) {
+          // not MODBUS; we can't find the next frame, so give up on this client
+          socket.destroy();
+          return;
+        }
+
+        if (rxBuffer.length < 6 + length) {
+          break;
+        }
+
+        let header = rxBuffer.slice(0, MBAP_SIZE);
+        let pdu = rxBuffer.slice(MBAP_SIZE, 6 + length);
+
+        rxBuffer = rxBuffer.slice(6 + length);
+
+        me.onRequest(socket, header, pdu);
+      }
+    });
+
+    socket.on('close', function() {
+      me.sockets = me.sockets.filter((s) => s !== socket);
+    });
+
+    // a client vanishing is not our problem
+    socket.on('error', function() {});
+
+    me.emit('connection', socket);
+  }
+
+  // Queues a request, and sends the response to the client
+  onRequest(socket, header, pdu) {
+
+    let me = this;
+    let unit = header[6];
+    let failed = Buffer.from([pdu[0] | 0x80, EX_GATEWAY_TARGET]);
+
+    me.emit('request', unit, pdu, socket);
+
+    // each link must leave the queue resolved, or every later request
+    // would be dropped
+    me.queue = me.queue
+    .then(() => me.forward(unit, pdu))
+    .catch(() => failed)
+    .then((response) => me.reply(socket, header, unit, response))
+    .catch(() => {
+      try {
+        me.reply(socket, header, unit, failed);
+      } catch (err) {
+        // nothing more we can tell the client
+      }
+    });
+  }
+
+  // Sends a response PDU to the client, with the request's MBAP header
+  reply(socket, header, unit, response) {
+
+    if (socket.destroyed) {
+      return;
+    }
+
+    let reply = Buffer.alloc(MBAP_SIZE + response.length);
+
+    header.copy(reply, 0, 0, 4);
+    reply.writeUInt16BE(response.length + 1, 4);
+    reply[6] = unit;
+    response.copy(reply, MBAP_SIZE);
+
+    socket.write(reply);
+  }
+
+  /**
+   * Sends a request PDU through the dongle
+   *
+   * @param      {number}   unit    The unit ID
+   * @param      {Buffer}   pdu     The request
+   * @return     {Promise}  resolves with the response PDU (never rejects)
+   */
+  forward(unit, pdu) {
+
+    let me = this;
+    let fc = pdu[0];
+
+    if (!me.dongle.isConnected()) {
+      return Promise.resolve(Buffer.from([fc | 0x80, EX_GATEWAY_PATH]));
+    }
+
+    return new Promise(function(resolve) {
+
+      me.dongle.master.request(new RawRequest(pdu), {
+        unit: unit,
+        timeout: me.options.timeout,
+        maxRetries: 0,
+        onComplete: function(err, response) {
+          if (err || !response) {
+            resolve(Buffer.from([fc | 0x80, EX_GATEWAY_TARGET]));
+          } else {
+            resolve(response.toBuffer());
+          }
+        },
+      });
+    });
+  }
+};
@@ -4,17 +4,151 @@
  * @class      MotorController (name)
  */
 
+const fs = require('fs');
+const util = require('util');
 
+const EepromDiff = require('./EepromDiff');
+const { DongleError } = require('./errors');
 
+// promisified when first used, since there is no fs in the browser bundle
+function readFile( filename, encoding ) {
+  return util.promisify(fs.readFile)( filename, encoding );
+}
+
+function writeFile( filename, data ) {
+  return util.promisify(fs.writeFile)( filename, data );
+}
+
+// The EEPROM bank of the CS1108
+const EEPROM_ADDRESS = 0x0300;
+const EEPROM_SIZE = 0x0100;
+
+// Bytes per transaction when restoring the EEPROM
+const EEPROM_WRITE_BLOCK = 32;
+
+// Largest number of bytes moved in one transaction, and how many
+// transactions to have outstanding at once, when splitting large transfers
+const MAX_TRANSFER = 128;
+const MAX_CONCURRENT = 2;
+
+// Transfers are also split where the bank (the high byte of the address) changes
+const BANK_SIZE = 0x100;
+
+
+// Splits an address range into pieces no bigger than max, that don't cross banks
+function splitRange( address, length, max ) {
+
+  let pieces = [];
+  let offset = 0;
+
+  while (offset < length) {
+    let start = address + offset;
+    let size = Math.min( max, length - offset, BANK_SIZE - (start % BANK_SIZE) );
+
+    pieces.push({ address: start, offset: offset, length: size });
+    offset += size;
+  }
+
+  return pieces;
+}
+
+// Runs tasks (functions returning promises), no more than limit at a time
+// Resolves with the results in order, or rejects with the first failure
+function runLimited( tasks, limit ) {
+
+  return new Promise(function(resolve, reject) {
+
+    let results = [];
+    let next = 0;
+    let running = 0;
+    let failed = false;
+
+    if (tasks.length === 0) {
+      resolve(results);
+      return;
+    }
+
+    function start() {
+
+      while (!failed && running < limit && next < tasks.length) {
+
+        let index = next++;
+
+        running++;
+
+        tasks[index]()
+        .then((result) => {
+          results[index] = result;
+          running--;
+
+          if (next >= tasks.length && running === 0) {
+            resolve(results);
+          } else {
+            start();
+          }
+        })
+        .catch((err) => {
+          failed = true;
+          reject(err);
+        });
+      }
+    }
+
+    start();
+  });
+}
+
+// Labels an error from one piece of a split transfer with its address range.
+// Our own error types keep their type, for the caller to branch on, but get
+// the range too, since not all of them know the address (a timeout, say)
+function rangeError( operation, piece, err ) {
+
+  let last = piece.address + piece.length - 1;
+  let range = '0x' + piece.address.toString(16) + '-0x' + last.toString(16);
+
+  if (err instanceof DongleError) {
+
+    if (null === err.address || undefined === err.address) {
+      err.message += ' in ' + operation + ' of ' + range;
+    }
+
+    err.address = piece.address;
+    err.length = piece.length;
+
+    return err;
+  }
+
+  let message = (err && err.message) ? err.message : String(err);
+
+  let error = new Error(operation + ' of ' + range + ' failed: ' + message);
+
+  error.address = piece.address;
+  error.length = piece.length;
+  error.cause = err;
+
+  return error;
+}
+
+// Identifies our backup files
+const BACKUP_FORMAT = 'cs1108-eeprom';
+const BACKUP_VERSION = 1;
 
 
  module.exports = class MotorController {
 
-  constructor( id, connection ) {
+  constructor( id, connection, identity ) {
 
     this.connection = connection;
     this.id = id;
 
+    // what the controller reported about itself, if known
+    // { product, run, version }
+    this.identity = identity || null;
+
+    // how large transfers are split up
+    this.maxTransfer = MAX_TRANSFER;
+    this.maxConcurrent = MAX_CONCURRENT;
+
   }
 
 
@@ -22,26 +156,42 @@
   /**
    * Sends the read memory command to the remote device
    *
+   * Any length may be requested; large reads are split into several
+   * transactions and the results joined back together.
+   *
    * @param      {<type>}   address  address to read from
    * @param      {<type>}   length   bytes to read
    * @return     {Promise}  Resolves when complete
    */
   readMemory( address, length ) {
 
-    return this.connection.readMemory( this.id, address, length );
+    let me = this;
+    let pieces = splitRange( address, length, me.maxTransfer );
+
+    if (pieces.length === 1) {
+      return me.connection.readMemory( me.id, address, length );
+    }
+
+    return runLimited( pieces.map((piece) => () =>
+      me.connection.readMemory( me.id, piece.address, piece.length )
+      .catch((err) => { throw rangeError( 'Read', piece, err ); })
+    ), me.maxConcurrent )
+    .then((blocks) => Buffer.concat(blocks));
 
   }
 
   /**
    * Sends the write memory command to the remote device
    *
+   * Large writes are split into several transactions.
+   *
    * @param      {number}   address  address to write to
    * @param.     {Buffer}   values to write
    * @return     {Promise}  Resolves when complete
    */
   writeMemory( address, values ) {
 
-    return this.connection.writeMemory( this.id, address, values );
+    return this.splitWrite( 'writeMemory', address, values );
 
   }
 
@@ -49,13 +199,181 @@
   /**
    * Sends the write memory with verification command to the remote device
    *
+   * Large writes are split into several transactions.
+   *
    * @param      {number}   address  address to write to
    * @param.     {Buffer}   values to write
    * @return     {Promise}  Resolves when complete
    */
   writeMemoryVerify( address, values ) {
 
-    return this.connection.writeMemoryVerify( this.id, address, values );
+    return this.splitWrite( 'writeMemoryVerify', address, values );
+
+  }
+
+  // Performs a write, splitting it up if necessary
+  splitWrite( method, address, values ) {
+
+    let me = this;
+    let pieces = splitRange( address, values.length, me.maxTransfer );
+
+    if (pieces.length <= 1) {
+      return me.connection[method]( me.id, address, values );
+    }
+
+    return runLimited( pieces.map((piece) => () =>
+      me.connection[method]( me.id, piece.address, values.slice( piece.offset, piece.offset + piece.length ) )
+      .catch((err) => { throw rangeError( 'Write', piece, err ); })
+    ), me.maxConcurrent )
+    .then(() => undefined);
+
+  }
+
+
+  /**
+   * Reads the whole EEPROM bank
+   *
+   * @return     {Promise}  Resolves with a Buffer holding the EEPROM contents
+   */
+  readEeprom() {
+
+    return this.readMemory( EEPROM_ADDRESS, EEPROM_SIZE );
+
+  }
+
+
+  /**
+   * Saves the EEPROM contents, with details of where they came from
+   *
+   * The image records the dongle serial number, the controller ID, the time,
+   * and the dongle and controller firmware versions (where known).  If a
+   * filename is given, the image is also written to that file as JSON.
+   *
+   * @param      {string}   filename  file to write (optional)
+   * @return     {Promise}  Resolves with the image
+   */
+  async backup( filename ) {
+
+    let data = await this.readEeprom();
+    let connection = this.connection;
+
+    let image = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      dongleSerial: connection.serial || null,
+      controllerId: this.id,
+      timestamp: new Date().toISOString(),
+      firmware: {
+        dongle: (connection.softwareVersion) ? connection.softwareVersion.text : null,
+        controller: (this.identity) ? this.identity.version : null,
+      },
+      address: EEPROM_ADDRESS,
+      data: data.toString('hex'),
+    };
+
+    if (filename) {
+      await writeFile( filename, JSON.stringify( image, null, 2 ) );
+    }
+
+    return image;
+
+  }
+
+
+  /**
+   * Loads and checks a backup image
+   *
+   * @param      {string|Object}  image   The image, or the name of a file holding it
+   * @return     {Promise}  Resolves with the image, with its data as a Buffer
+   */
+  static async loadBackup( image ) {
+
+    if ('string' === typeof(image)) {
+      image = JSON.parse( await readFile( image, 'utf8' ) );
+    }
+
+    if (!image || image.format !== BACKUP_FORMAT) {
+      throw new Error('Not a controller EEPROM backup');
+    }
+
+    if (image.version !== BACKUP_VERSION) {
+      throw new Error('Unsupported backup version ' + image.version);
+    }
+
+    // restore() writes the image back where it says it came from
+    if (image.address !== EEPROM_ADDRESS) {
+      throw new Error('Backup is for address ' + JSON.stringify(image.address) +
+        ', not the EEPROM at 0x' + EEPROM_ADDRESS.toString(16));
+    }
+
+    let data = Buffer.isBuffer(image.data) ? image.data : Buffer.from( image.data, 'hex' );
+
+    if (data.length !== EEPROM_SIZE) {
+      throw new Error('Backup holds ' + data.length + ' bytes, expected ' + EEPROM_SIZE);
+    }
+
+    return Object.assign({}, image, { data: data });
+
+  }
+
+
+  /**
+   * Compares the EEPROM with a reference image
+   *
+   * The live contents are read from the controller.  The result lists the
+   * changed locations (as a table with toTable(), or as JSON), and the writes
+   * that would bring the controller back in line (see EepromDiff.apply()).
+   *
+   * @param      {string|Object}  image   The reference image, or the name of a file holding it
+   * @return     {Promise}  Resolves with an EepromDiff
+   */
+  async compare( image ) {
+
+    image = await MotorController.loadBackup( image );
+
+    let live = await this.readEeprom();
+
+    return new EepromDiff( image.address, image.data, live );
+
+  }
+
+
+  /**
+   * Writes a backup image into the EEPROM
+   *
+   * The image is written in blocks using write memory with verification.
+   * Every block is attempted even if an earlier one fails.
+   *
+   * @param      {string|Object}  image   The image, or the name of a file holding it
+   * @return     {Promise}  Resolves with an array of { address, length, ok, error }, one per block
+   */
+  async restore( image ) {
+
+    image = await MotorController.loadBackup( image );
+
+    let results = [];
+
+    for (let offset = 0; offset < image.data.length; offset += EEPROM_WRITE_BLOCK) {
+
+      let block = image.data.slice( offset, offset + EEPROM_WRITE_BLOCK );
+      let result = {
+        address: image.address + offset,
+        length: block.length,
+        ok: true,
+        error: null,
+      };
+
+      try {
+        await this.writeMemoryVerify( result.address, block );
+      } catch (err) {
+        result.ok = false;
+        result.error = err;
+      }
+
+      results.push(result);
+    }
+
+    return results;
 
   }
 
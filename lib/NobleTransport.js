@@ -0,0 +1,186 @@
+/**
+ * BLE transport (see BleTransport) for a @abandonware/noble peripheral
+ *
+ * Also works with SimulatedPeripheral, which has the same interface as a
+ * noble peripheral.
+ *
+ */
+
+const BleTransport = require('./BleTransport');
+
+
+module.exports = class NobleTransport extends BleTransport {
+
+  /**
+   * Constructor
+   *
+   * @param      {Object}  peripheral  The noble peripheral
+   */
+  constructor(peripheral) {
+
+    super();
+
+    this.peripheral = peripheral;
+
+    // the MAC address, where the platform tells us
+    this.address = peripheral.address;
+
+    // Pass noble BLE events through, while connected.  The handlers are
+    // kept so they can be removed again: the peripheral outlives us, and
+    // may be given to another transport later
+    this.onConnect = this.emit.bind(this, 'connect');
+    this.onDisconnect = this.emit.bind(this, 'disconnect');
+    this.listening = false;
+
+    this.listen();
+  }
+
+  isConnected() {
+    return this.peripheral.state === 'connected';
+  }
+
+  /**
+   * Stops passing on the peripheral's events
+   *
+   * disconnect() does this once the link is down; connect() starts again.
+   */
+  close() {
+
+    if (this.listening) {
+      this.peripheral.removeListener('connect', this.onConnect);
+      this.peripheral.removeListener('disconnect', this.onDisconnect);
+      this.listening = false;
+    }
+  }
+
+  // Starts passing on the peripheral's events, if we aren't already
+  listen() {
+
+    if (!this.listening) {
+      this.peripheral.on('connect', this.onConnect);
+      this.peripheral.on('disconnect', this.onDisconnect);
+      this.listening = true;
+    }
+  }
+
+  connect() {
+
+    let peripheral = this.peripheral;
+
+    this.listen();
+
+    return new Promise(function(resolve, reject) {
+
+      peripheral.connect(function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  disconnect() {
+
+    let me = this;
+    let peripheral = me.peripheral;
+
+    return new Promise(function(resolve, reject) {
+
+      // noble calls back from its own 'disconnect' listener, which comes
+      // after ours, so the event has been passed on by now
+      peripheral.disconnect(function(err) {
+
+        me.close();
+
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  discover(serviceUuids) {
+
+    let peripheral = this.peripheral;
+
+    return new Promise(function(resolve, reject) {
+
+      peripheral.discoverSomeServicesAndCharacteristics(serviceUuids, [],
+        function(err, services, characteristics) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ services: services, characteristics: characteristics });
+          }
+        });
+    });
+  }
+
+  read(characteristic) {
+
+    return new Promise(function(resolve, reject) {
+
+      characteristic.read(function(err, data) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(data);
+        }
+      });
+    });
+  }
+
+  write(characteristic, data) {
+
+    return new Promise(function(resolve, reject) {
+
+      characteristic.write(data, false, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  subscribe(characteristic) {
+
+    return new Promise(function(resolve, reject) {
+
+      characteristic.subscribe(function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  unsubscribe(characteristic) {
+
+    return new Promise(function(resolve, reject) {
+
+      characteristic.unsubscribe(function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  addNotificationListener(characteristic, fn) {
+    characteristic.on('data', fn);
+  }
+
+  removeNotificationListener(characteristic, fn) {
+    characteristic.removeListener('data', fn);
+  }
+};
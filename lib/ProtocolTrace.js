@@ -0,0 +1,490 @@
+/**
+ * Captures and decodes the traffic between us and the dongle
+ *
+ * Records every frame written to the transparent UART (Dongle.write()),
+ * every response received from it, and every notification from the status
+ * characteristics and the fault characteristic.  UART frames are MODBUS
+ * (MBAP) frames, and are decoded into:
+ *
+ *   seq:          the frame's number in the trace
+ *   time:         milliseconds since the epoch, to the microsecond
+ *   dir:          'tx' (to the dongle) or 'rx' (from it)
+ *   transaction:  the MBAP transaction ID
+ *   unit:         the unit ID (254 for the dongle itself)
+ *   fc:           the function code (without the exception bit)
+ *   opcode:       the command ID, for command (0x47) frames
+ *   address:      the memory address or object ID, where the request has one
+ *   length:       the number of bytes read, written or carried
+ *   payload:      the data, as a hex string
+ *   status:       the status byte of a write or command response
+ *   exception:    the exception code of an exception response
+ *
+ * Responses are paired with their request by transaction ID; a response
+ * has request (the seq of the request) and latency (milliseconds since the
+ * request was written).  A request that goes unanswered for longer than
+ * the timeout option (the dongle's defaultTimeout), or whose transaction ID
+ * is used again, is no longer paired.  Notifications have dir 'status' (with the slot;
+ * 0xFF for the super watcher) or 'fault', and the payload.  Every frame
+ * also has raw, the bytes as a hex string.
+ *
+ *   let trace = new ProtocolTrace(dongle, { file: 'session.trace' });
+ *
+ *   trace.start();
+ *   ...
+ *   await trace.stop();
+ *
+ * The file holds one frame per line as JSON; ProtocolTrace.load() reads it
+ * back, and trace-view.js displays it.
+ *
+ * Events:
+ *
+ * frame:
+ * Emitted (frame) for each frame captured.
+ *
+ * error:
+ * Emitted (err) when the file can't be written.
+ *
+ */
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+const fs = require('fs');
+const util = require('util');
+
+// MBAP header: transaction ID, protocol ID, length, unit ID
+const MBAP_SIZE = 7;
+
+// Largest PDU allowed by the MODBUS specification
+const MAX_PDU_SIZE = 253;
+
+// How long a request waits for its response, if the dongle doesn't say
+const DEFAULT_TIMEOUT = 10000;
+
+// The function codes we use, and their names
+const FUNCTIONS = {
+  0x11: 'reportSlaveId',
+  0x43: 'readObject',
+  0x44: 'writeObject',
+  0x45: 'readMemory',
+  0x46: 'writeMemory',
+  0x47: 'command',
+  0x64: 'writeMemoryVerify',
+};
+
+// The dongle commands, and their names
+const COMMANDS = {
+  0: 'configure',
+  1: 'keyswitch',
+  2: 'watch',
+  3: 'unwatch',
+  4: 'unwatchAll',
+  5: 'superwatch',
+  6: 'getWatcher',
+};
+
+
+// Decodes a request PDU into the frame
+function decodeRequest(frame, pdu) {
+
+  switch (frame.fc) {
+    case 0x45:
+      frame.address = pdu.readUInt16BE(1);
+      frame.length = pdu[3];
+      break;
+
+    case 0x46:
+    case 0x64:
+      frame.address = pdu.readUInt16BE(1);
+      frame.payload = pdu.slice(3);
+      break;
+
+    case 0x43:
+      frame.address = pdu[1];
+      break;
+
+    case 0x44:
+      frame.address = pdu[1];
+      frame.payload = pdu.slice(3);
+      break;
+
+    case 0x47:
+      frame.opcode = pdu[1];
+      frame.payload = pdu.slice(2);
+      break;
+
+    default:
+      frame.payload = pdu.slice(1);
+      break;
+  }
+}
+
+// Decodes a response PDU into the frame
+function decodeResponse(frame, pdu) {
+
+  switch (frame.fc) {
+    case 0x45:
+      frame.payload = pdu.slice(1);
+      break;
+
+    case 0x43:
+      frame.payload = pdu.slice(2);
+      break;
+
+    case 0x44:
+    case 0x46:
+    case 0x64:
+      frame.status = pdu[1];
+      break;
+
+    case 0x47:
+      frame.opcode = pdu[1];
+      frame.status = pdu[2];
+      frame.payload = pdu.slice(3);
+      break;
+
+    default:
+      frame.payload = pdu.slice(1);
+      break;
+  }
+}
+
+
+class ProtocolTrace extends EventEmitter {
+
+  /**
+   * Constructor
+   *
+   * @param      {Dongle}  dongle   The dongle
+   * @param      {Object}  options  { file: where to write the frames as they are captured,
+   *                                   timeout: milliseconds a request waits for its response }
+   */
+  constructor(dongle, options) {
+
+    super();
+
+    this.dongle = dongle;
+
+    this.options = Object.assign({
+      file: null,
+      timeout: (dongle.options && dongle.options.defaultTimeout) || DEFAULT_TIMEOUT,
+    }, options);
+
+    // the frames captured so far
+    this.frames = [];
+
+    // requests waiting for their response, by transaction ID
+    this.pending = {};
+
+    // UART notifications not yet making up a whole frame
+    this.rxBuffer = Buffer.alloc(0);
+
+    this.stream = null;
+    this.started = null;
+    this.startTime = null;
+
+    this.onWrite = this.onWrite.bind(this);
+    this.onData = this.onData.bind(this);
+    this.onStatus = this.onStatus.bind(this);
+    this.onFault = this.onFault.bind(this);
+  }
+
+  /**
+   * Starts capturing
+   */
+  start() {
+
+    this.started = Date.now();
+    this.startTime = process.hrtime();
+
+    if (this.options.file) {
+      this.stream = fs.createWriteStream(this.options.file);
+      this.stream.on('error', this.emit.bind(this, 'error'));
+    }
+
+    this.dongle.on('write', this.onWrite);
+    this.dongle.on('data', this.onData);
+    this.dongle.on('status', this.onStatus);
+    this.dongle.on('fault', this.onFault);
+  }
+
+  /**
+   * Stops capturing, and closes the file
+   *
+   * @return     {Promise}  resolves when the file has been written
+   */
+  stop() {
+
+    let me = this;
+
+    me.dongle.removeListener('write', me.onWrite);
+    me.dongle.removeListener('data', me.onData);
+    me.dongle.removeListener('status', me.onStatus);
+    me.dongle.removeListener('fault', me.onFault);
+
+    let stream = me.stream;
+    me.stream = null;
+
+    return new Promise(function(resolve) {
+
+      if (!stream) {
+        resolve();
+        return;
+      }
+
+      stream.end(() => resolve());
+    });
+  }
+
+  /**
+   * Writes the frames captured so far to a file
+   *
+   * @param      {string}   file    The file name
+   * @return     {Promise}  resolves when written
+   */
+  save(file) {
+
+    let text = this.frames.map((frame) => JSON.stringify(frame) + '\n').join('');
+
+    return util.promisify(fs.writeFile)(file, text);
+  }
+
+  /**
+   * Reads a trace file
+   *
+   * @param      {string}   file    The file name
+   * @return     {Promise}  resolves with the frames
+   */
+  static async load(file) {
+
+    let text = await util.promisify(fs.readFile)(file, 'utf8');
+
+    return text.split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+  }
+
+  /**
+   * Formats a frame as one line of text
+   *
+   * @param      {Object}   frame     The frame
+   * @param      {number}   start     The time to show times relative to
+   * @return     {string}
+   */
+  static format(frame, start) {
+
+    let hex = (n, digits) => '0x' + ('0000' + n.toString(16).toUpperCase()).slice(-digits);
+
+    let parts = [
+      ('          ' + (frame.time - (start || 0)).toFixed(3)).slice(-12),
+      ('   ' + frame.seq).slice(-4),
+      (frame.dir.toUpperCase() + '     ').slice(0, 6),
+    ];
+
+    if ('status' === frame.dir) {
+      parts.push('slot ' + frame.slot);
+    } else if ('fault' !== frame.dir) {
+
+      parts.push('#' + frame.transaction, 'unit ' + frame.unit);
+
+      if (undefined !== frame.fc) {
+        parts.push(FUNCTIONS[frame.fc] || hex(frame.fc, 2));
+      }
+
+      if (undefined !== frame.opcode) {
+        parts.push(COMMANDS[frame.opcode] || 'op ' + frame.opcode);
+      }
+
+      if (undefined !== frame.address) {
+        parts.push('@' + hex(frame.address, 4));
+      }
+
+      if (undefined !== frame.length) {
+        parts.push('len ' + frame.length);
+      }
+
+      if (undefined !== frame.status) {
+        parts.push('status ' + frame.status);
+      }
+
+      if (undefined !== frame.exception) {
+        parts.push('exception ' + frame.exception);
+      }
+
+      if (undefined !== frame.latency) {
+        parts.push('(' + frame.latency.toFixed(1) + 'ms)');
+      }
+
+      if (frame.error) {
+        parts.push(frame.error);
+      }
+    }
+
+    if (frame.payload) {
+      parts.push('[' + frame.payload + ']');
+    }
+
+    return parts.join(' ');
+  }
+
+  // The current time, in milliseconds since the epoch to the microsecond
+  now() {
+
+    let diff = process.hrtime(this.startTime);
+
+    return Math.round((this.started + diff[0] * 1e3 + diff[1] / 1e6) * 1e3) / 1e3;
+  }
+
+  // Stores a frame and passes it on
+  add(frame, raw) {
+
+    frame.seq = this.frames.length + 1;
+
+    // show the byte fields as hex
+    if (Buffer.isBuffer(frame.payload)) {
+      frame.payload = frame.payload.toString('hex');
+    }
+
+    frame.raw = raw.toString('hex');
+
+    this.frames.push(frame);
+
+    if (this.stream) {
+      this.stream.write(JSON.stringify(frame) + '\n');
+    }
+
+    this.emit('frame', frame);
+  }
+
+  // Decodes the MBAP header and the start of the PDU common to both directions
+  decodeFrame(dir, time, adu) {
+
+    let pdu = adu.slice(MBAP_SIZE);
+
+    let frame = {
+      time: time,
+      dir: dir,
+      transaction: adu.readUInt16BE(0),
+      unit: adu[6],
+      fc: pdu[0] & 0x7F,
+    };
+
+    if (pdu[0] & 0x80) {
+      frame.exception = pdu[1];
+    } else if ('tx' === dir) {
+      decodeRequest(frame, pdu);
+    } else {
+      decodeResponse(frame, pdu);
+    }
+
+    if (Buffer.isBuffer(frame.payload) && undefined === frame.length) {
+      frame.length = frame.payload.length;
+    }
+
+    return frame;
+  }
+
+  // A frame written to the dongle
+  onWrite(data) {
+
+    let time = this.now();
+
+    if (data.length < MBAP_SIZE + 1) {
+      this.add({ time: time, dir: 'tx', error: 'short frame' }, data);
+      return;
+    }
+
+    let frame = this.decodeFrame('tx', time, data);
+
+    this.add(frame, data);
+
+    this.expire(time);
+
+    // replaces any earlier request with the same ID, which was not answered
+    this.pending[frame.transaction] = frame;
+  }
+
+  // Forgets the requests that have waited longer than the timeout
+  expire(time) {
+
+    Object.keys(this.pending).forEach((transaction) => {
+      if (time - this.pending[transaction].time > this.options.timeout) {
+        delete this.pending[transaction];
+      }
+    });
+  }
+
+  // A UART notification; may be part of a frame, or several
+  onData(data) {
+
+    let time = this.now();
+
+    this.rxBuffer = Buffer.concat([this.rxBuffer, data]);
+
+    while (this.rxBuffer.length >= MBAP_SIZE) {
+
+      let length = this.rxBuffer.readUInt16BE(4);
+
+      if (this.rxBuffer.readUInt16BE(2) !== 0 || length < 2 || length > MAX_PDU_SIZE + 1) {
+        // not MODBUS; we can't find the next frame, so drop what we have
+        this.add({ time: time, dir: 'rx', error: 'unframed data' }, this.rxBuffer);
+        this.rxBuffer = Buffer.alloc(0);
+        return;
+      }
+
+      if (this.rxBuffer.length < 6 + length) {
+        return;
+      }
+
+      let adu = this.rxBuffer.slice(0, 6 + length);
+
+      this.rxBuffer = this.rxBuffer.slice(6 + length);
+
+      this.onResponse(time, adu);
+    }
+  }
+
+  // A whole response frame
+  onResponse(time, adu) {
+
+    this.expire(time);
+
+    let frame = this.decodeFrame('rx', time, adu);
+    let request = this.pending[frame.transaction];
+
+    if (request && request.unit === frame.unit && request.fc === frame.fc) {
+
+      delete this.pending[frame.transaction];
+
+      frame.request = request.seq;
+      frame.latency = Math.round((time - request.time) * 1e3) / 1e3;
+
+      // say what the response is about
+      if (undefined === frame.address && undefined !== request.address) {
+        frame.address = request.address;
+      }
+      if (undefined === frame.opcode && undefined !== request.opcode) {
+        frame.opcode = request.opcode;
+      }
+    }
+
+    this.add(frame, adu);
+  }
+
+  // A watcher or super watcher notification
+  onStatus(slot, data) {
+
+    this.add({ time: this.now(), dir: 'status', slot: slot, payload: data }, data);
+  }
+
+  // A fault characteristic notification
+  onFault(data) {
+
+    this.add({ time: this.now(), dir: 'fault', payload: data }, data);
+  }
+}
+
+ProtocolTrace.FUNCTIONS = FUNCTIONS;
+ProtocolTrace.COMMANDS = COMMANDS;
+
+module.exports = ProtocolTrace;
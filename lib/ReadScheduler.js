@@ -0,0 +1,150 @@
+/**
+ * Combines small memory reads into larger ones
+ *
+ * Reads requested within a short window are held, then reads of nearby
+ * addresses on the same unit and bank are merged into a single read memory
+ * transaction.  Each caller's promise resolves with just the bytes it asked for.
+ *
+ * This saves a BLE round trip for every read that gets merged, which adds up
+ * when a user interface reads lots of scalar registers at once.
+ *
+ */
+
+// Largest gap between two reads that still get merged
+const DEFAULT_GAP = 8;
+
+// Largest merged read
+const DEFAULT_MAX_LENGTH = 128;
+
+// Size of a bank; reads are never merged across banks
+const BANK_SIZE = 0x100;
+
+
+module.exports = class ReadScheduler {
+
+  /**
+   * Constructor
+   *
+   * @param      {Function}  read     function(dest, address, length) returning a Promise for a Buffer
+   * @param      {Object}    options  { window: ms to wait for more reads, gap, maxLength }
+   */
+  constructor(read, options) {
+
+    this.read = read;
+
+    this.options = Object.assign({
+      window: 5,
+      gap: DEFAULT_GAP,
+      maxLength: DEFAULT_MAX_LENGTH,
+    }, options);
+
+    // reads waiting to be sent, keyed by unit and bank
+    this.pending = {};
+    this.timer = null;
+  }
+
+  /**
+   * Queues a read
+   *
+   * @param      {number}   dest     The unit ID
+   * @param      {number}   address  The address
+   * @param      {number}   length   The number of bytes
+   * @return     {Promise}  resolves with the bytes read
+   */
+  schedule(dest, address, length) {
+
+    let me = this;
+    let bank = Math.floor(address / BANK_SIZE);
+
+    // a read that doesn't fit in a bank or a merged read goes on its own
+    if ((address % BANK_SIZE) + length > BANK_SIZE || length > me.options.maxLength) {
+      return me.read(dest, address, length);
+    }
+
+    return new Promise(function(resolve, reject) {
+
+      let key = dest + ':' + bank;
+
+      me.pending[key] = me.pending[key] || [];
+      me.pending[key].push({
+        dest: dest,
+        address: address,
+        length: length,
+        resolve: resolve,
+        reject: reject,
+      });
+
+      if (!me.timer) {
+        me.timer = setTimeout(me.flush.bind(me), me.options.window);
+      }
+    });
+  }
+
+  /**
+   * Sends everything that is waiting
+   */
+  flush() {
+
+    let pending = this.pending;
+
+    this.pending = {};
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    Object.keys(pending).forEach((key) => {
+      this.group(pending[key]).forEach((group) => this.send(group));
+    });
+  }
+
+  // Splits a list of reads on the same unit and bank into mergeable groups
+  group(reads) {
+
+    let groups = [];
+    let current = null;
+
+    reads.sort((a, b) => a.address - b.address);
+
+    reads.forEach((read) => {
+
+      let end = read.address + read.length;
+
+      if (current &&
+        read.address <= current.end + this.options.gap &&
+        Math.max(end, current.end) - current.address <= this.options.maxLength) {
+
+        current.end = Math.max(end, current.end);
+        current.reads.push(read);
+
+      } else {
+        current = {
+          dest: read.dest,
+          address: read.address,
+          end: end,
+          reads: [read],
+        };
+        groups.push(current);
+      }
+    });
+
+    return groups;
+  }
+
+  // Reads a group and hands each caller its part
+  send(group) {
+
+    this.read(group.dest, group.address, group.end - group.address)
+    .then((data) => {
+      group.reads.forEach((read) => {
+        let start = read.address - group.address;
+
+        read.resolve(Buffer.from(data.slice(start, start + read.length)));
+      });
+    })
+    .catch((err) => {
+      group.reads.forEach((read) => read.reject(err));
+    });
+  }
+};
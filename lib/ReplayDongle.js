@@ -0,0 +1,836 @@
+/**
+ * Plays back a recorded session as if it came from a dongle
+ *
+ * Takes the files written by TelemetryRecorder, and acts enough like a
+ * Dongle that UI and analysis code can run against it without the vehicle:
+ * watchers set up with watch(), addWatch() and superwatch() receive the
+ * recorded notifications for their locations, the 'status' event is emitted
+ * for each one, and memory reads (through readMemory(), or a MotorController
+ * using the replay as its connection) are answered with the recorded
+ * responses.
+ *
+ *   let replay = await ReplayDongle.load([ 'telemetry-20201019-143005-001.ndjson' ]);
+ *
+ *   await replay.connect();
+ *   await replay.addWatch(1, 0x0038, 1, (data) => console.log('Fault', data[0]));
+ *
+ *   replay.play();
+ *
+ * Playback keeps the recorded timing, scaled by the speed option (2 plays
+ * twice as fast); a speed of Infinity delivers everything as fast as
+ * possible, in the recorded order.  seek() jumps to a time in the
+ * recording, and brings the watchers up to date with the values they had
+ * then.
+ *
+ * A memory read is answered with the latest recorded read covering the
+ * same addresses at or before the current position (or the first one after
+ * it), after the recorded latency.  Reads that were never recorded are
+ * rejected.  Nothing can be written.  configure() and keyswitch() resolve
+ * without doing anything, so UI code can go through its usual setup; the
+ * requests that need a live dongle (controller discovery and the access
+ * key) are rejected.
+ *
+ * Events:
+ *
+ * connect, disconnect:
+ * Emitted by connect() and disconnect().
+ *
+ * status:
+ * Emitted (slot, data) for each recorded notification, with its recorded slot.
+ *
+ * seek:
+ * Emitted (time) when the position changes with seek().
+ *
+ * end:
+ * Emitted when playback reaches the end of the recording.
+ *
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const ModbusConnection = require('./ModbusConnection');
+const Watcher = require('./Watcher');
+const SuperWatcher = require('./SuperWatcher');
+
+const { Dongle } = require('./Dongle');
+
+const {
+  DongleError,
+  NotConnectedError,
+} = require('./errors');
+
+// The unit ID of the dongle itself
+const DONGLE_ID = 254;
+
+// Number of watcher slots, and the super watcher slot
+const NUM_STATUS = 25;
+const SLOT_SUPERWATCH = 0xFF;
+
+// MODBUS function codes, used to say which request failed
+const FC_READ_MEMORY = 0x45;
+const FC_WRITE_MEMORY = 0x46;
+const FC_WRITE_MEMORY_VERIFY = 0x64;
+const FC_REPORT_SLAVE_ID = 0x11;
+const FC_READ_OBJECT = 0x43;
+
+// The object holding the cloud access key
+const OBJECT_INFO = 0;
+
+
+// Splits a CSV line into its fields
+function splitCsv(line) {
+
+  let fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+
+    let c = line[i];
+
+    if (quoted) {
+      if ('"' === c && '"' === line[i + 1]) {
+        field += '"';
+        i++;
+      } else if ('"' === c) {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if ('"' === c) {
+      quoted = true;
+    } else if (',' === c) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+
+  fields.push(field);
+
+  return fields;
+}
+
+// Converts a record from a file into the form we play back
+function normalize(record) {
+
+  return {
+    time: Number(record.time),
+    elapsed: Number(record.elapsed),
+    kind: record.kind || 'status',
+    slot: ('' === record.slot || undefined === record.slot) ? null : Number(record.slot),
+    unit: Number(record.unit),
+    address: Number(record.address),
+    data: Buffer.from(record.raw || '', 'hex'),
+    latency: Number(record.latency) || 0,
+  };
+}
+
+
+module.exports = class ReplayDongle extends ModbusConnection {
+
+  /**
+   * Constructor
+   *
+   * @param      {Object}  recording  { sessions, records }, as returned by ReplayDongle.parse()
+   * @param      {Object}  options    { speed: playback speed (default 1, Infinity for as fast as possible) }
+   */
+  constructor(recording, options) {
+
+    super();
+
+    this.options = Object.assign({
+      speed: 1,
+      defaultTimeout: 10000,
+    }, options);
+
+    if (!(this.options.speed > 0)) {
+      throw new RangeError('Replay speed must be greater than 0');
+    }
+
+    this.id = DONGLE_ID;
+    this.numStatus = NUM_STATUS;
+
+    this.sessions = recording.sessions;
+
+    let records = recording.records.slice().sort((a, b) => a.elapsed - b.elapsed);
+
+    // without either we can't tell when it started
+    if (records.length === 0 && !(this.sessions.length > 0 && this.sessions[0].started)) {
+      throw new Error('Recording has no records and no session header');
+    }
+
+    // when the recording started and ended, in milliseconds since the epoch
+    this.startTime = (records.length > 0) ? records[0].time - records[0].elapsed :
+      Date.parse(this.sessions[0].started);
+    this.endTime = (records.length > 0) ? records[records.length - 1].time : this.startTime;
+
+    this.memory = records.filter((record) => 'memory' === record.kind);
+    this.events = ReplayDongle.groupNotifications(records.filter((record) => 'status' === record.kind));
+
+    this.connected = false;
+    this.softwareVersion = null;
+
+    // as set by configure() and keyswitch(), which only pretend
+    this.configuration = null;
+    this.keyswitchState = null;
+
+    this.watchers = [];
+    this.superwatcher = null;
+
+    // playback state: the position is the milliseconds since the start
+    // of the recording, and index is the next event to deliver
+    this.position = 0;
+    this.index = 0;
+    this.playing = false;
+    this.timer = null;
+
+    // the wall-clock time and position playback was last (re)started from
+    this.anchorWall = 0;
+    this.anchorPosition = 0;
+  }
+
+  /**
+   * Reads recorded sessions from files
+   *
+   * The files are read in order and combined; .csv files are read as CSV,
+   * anything else as NDJSON.
+   *
+   * @param      {string|Array}  files    The file name(s)
+   * @param      {Object}        options  The options for the ReplayDongle
+   * @return     {Promise}       resolves with the ReplayDongle
+   */
+  static async load(files, options) {
+
+    let readFile = util.promisify(fs.readFile);
+    let recording = { sessions: [], records: [] };
+
+    files = Array.isArray(files) ? files : [files];
+
+    for (let i = 0; i < files.length; i++) {
+
+      let text = await readFile(files[i], 'utf8');
+      let format = ('.csv' === path.extname(files[i]).toLowerCase()) ? 'csv' : 'ndjson';
+      let part = ReplayDongle.parse(text, format);
+
+      recording.sessions = recording.sessions.concat(part.sessions);
+      recording.records = recording.records.concat(part.records);
+    }
+
+    if (recording.records.length === 0 && recording.sessions.length === 0) {
+      throw new Error('Nothing recorded in ' + files.join(', '));
+    }
+
+    return new ReplayDongle(recording, options);
+  }
+
+  /**
+   * Parses the contents of a recorded file
+   *
+   * @param      {string}  text    The file contents
+   * @param      {string}  format  'ndjson' or 'csv'
+   * @return     {Object}  { sessions, records }
+   */
+  static parse(text, format) {
+
+    let sessions = [];
+    let records = [];
+    let columns = null;
+
+    text.split(/\r?\n/).forEach((line) => {
+
+      if (!line.trim()) {
+        return;
+      }
+
+      if ('csv' === format) {
+
+        if (0 === line.indexOf('# session ')) {
+          sessions.push(JSON.parse(line.slice('# session '.length)));
+        } else if (!columns) {
+          columns = splitCsv(line);
+        } else {
+          let fields = splitCsv(line);
+          let record = {};
+
+          columns.forEach((column, index) => {
+            record[column] = fields[index];
+          });
+
+          records.push(normalize(record));
+        }
+
+      } else {
+
+        let object = JSON.parse(line);
+
+        if (object.session) {
+          sessions.push(object.session);
+        } else {
+          records.push(normalize(object));
+        }
+      }
+    });
+
+    return { sessions: sessions, records: records };
+  }
+
+  // Combines the per-member records of each super watcher notification
+  // into one event; other notifications are one event each
+  static groupNotifications(records) {
+
+    let events = [];
+
+    records.forEach((record) => {
+
+      let last = events[events.length - 1];
+
+      if (record.slot === SLOT_SUPERWATCH) {
+
+        if (last && last.slot === SLOT_SUPERWATCH && last.elapsed === record.elapsed) {
+          last.members[record.address] = record.data[0];
+          last.data = Buffer.concat([last.data, record.data]);
+          return;
+        }
+
+        let members = {};
+        members[record.address] = record.data[0];
+
+        events.push({
+          elapsed: record.elapsed,
+          slot: SLOT_SUPERWATCH,
+          unit: record.unit,
+          members: members,
+          data: record.data,
+        });
+
+      } else {
+
+        events.push({
+          elapsed: record.elapsed,
+          slot: record.slot,
+          unit: record.unit,
+          address: record.address,
+          data: record.data,
+        });
+      }
+    });
+
+    return events;
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  isOpen() {
+    return this.isConnected();
+  }
+
+  /**
+   * 'Connects' to the recording
+   *
+   * @return     {Promise}  resolves when done
+   */
+  connect() {
+
+    this.connected = true;
+    this.softwareVersion = Dongle.parseVersion(this.sessionInfo().softwareRevision || '');
+
+    this.emit('connect');
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Stops playback and 'disconnects'
+   *
+   * @return     {Promise}  resolves when done
+   */
+  disconnect() {
+
+    this.pause();
+    this.connected = false;
+
+    this.emit('disconnect');
+
+    return Promise.resolve();
+  }
+
+  // The dongle information from the first session header
+  sessionInfo() {
+    return (this.sessions.length > 0 && this.sessions[0].dongle) || {};
+  }
+
+  /**
+   * Returns the recorded dongle information
+   *
+   * @return     {Promise}  resolves with the same object as Dongle.readDongleInfo()
+   */
+  readDongleInfo() {
+
+    let info = Object.assign({}, this.sessionInfo());
+
+    info.systemId = Buffer.from(info.systemId || '', 'hex');
+
+    return Promise.resolve(info);
+  }
+
+  supports(capability) {
+    return Dongle.prototype.supports.call(this, capability);
+  }
+
+  capabilities() {
+    return Dongle.prototype.capabilities.call(this);
+  }
+
+  /**
+   * Delivers the recorded notifications for a location to a callback
+   *
+   * The arguments are the same as for Dongle.watch(); the notifications
+   * recorded for the id and address are delivered, whichever slot they
+   * were recorded in.
+   *
+   * @return     {Promise}  resolves when the watch is set up
+   */
+  watch(slot, id, address, length, cb) {
+
+    if (!(slot < this.numStatus)) {
+      return Promise.reject(new RangeError('watch requested for invalid slot number ' + slot));
+    }
+
+    try {
+      this.watchers[slot] = new Watcher(slot, id, address, length, cb);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Watch a location without choosing a slot (see Dongle.addWatch)
+   *
+   * @return     {Promise}  resolves with the handle { slot, id, address, length, close() }
+   */
+  addWatch(id, address, length, cb) {
+
+    let me = this;
+    let slot = me.watchers.findIndex((watcher, index) => !watcher && index < me.numStatus);
+
+    if (slot < 0) {
+      slot = me.watchers.length;
+    }
+
+    if (slot >= me.numStatus) {
+      return Promise.reject(new Error('No free watcher slots (all ' + me.numStatus + ' are in use)'));
+    }
+
+    return me.watch(slot, id, address, length, cb)
+    .then(() => {
+
+      let watcher = me.watchers[slot];
+
+      return {
+        slot: slot,
+        id: id,
+        address: address,
+        length: watcher.length,
+
+        close: function() {
+          if (me.watchers[slot] === watcher) {
+            delete me.watchers[slot];
+          }
+          return Promise.resolve();
+        }
+      };
+    });
+  }
+
+  /**
+   * Sets up several watchers at once (see Dongle.setWatchers)
+   *
+   * Watchers without a slot get the first free one.
+   *
+   * @param      {Array|Watcher}  watchers  The watcher(s)
+   * @return     {Promise}  resolves when they are set up
+   */
+  setWatchers(watchers) {
+
+    let me = this;
+
+    if (watchers instanceof Watcher) {
+      watchers = [watchers];
+    }
+
+    let slots = me.watchers.slice();
+
+    for (let watcher of watchers) {
+
+      let slot = watcher.slot;
+
+      if (null === slot || undefined === slot) {
+        slot = slots.findIndex((used, index) => !used && index < me.numStatus);
+        slot = (slot < 0) ? slots.length : slot;
+
+        if (slot >= me.numStatus) {
+          return Promise.reject(new Error('No free watcher slots (all ' + me.numStatus + ' are in use)'));
+        }
+      } else if (!(slot < me.numStatus)) {
+        return Promise.reject(new RangeError('watch requested for invalid slot number ' + slot));
+      }
+
+      slots[slot] = watcher;
+    }
+
+    // assign the slots only once they all fit
+    slots.forEach((watcher, slot) => {
+      if (watcher) {
+        watcher.slot = slot;
+      }
+    });
+
+    me.watchers = slots;
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Delivers the recorded super watcher notifications (see Dongle.superwatch)
+   *
+   * Each member gets the value recorded for its address, so the members
+   * need not be in the recorded order.
+   *
+   * @return     {Promise}  resolves when the super watcher is set up
+   */
+  superwatch(id, members, cb) {
+
+    let superwatcher;
+
+    try {
+      superwatcher = new SuperWatcher(id, members, cb);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    this.superwatcher = (superwatcher.addresses.length > 0) ? superwatcher : null;
+
+    return Promise.resolve();
+  }
+
+  getWatchers() {
+
+    return Promise.resolve(this.watchers
+      .filter((watcher) => !!watcher)
+      .map((watcher) => ({ slot: watcher.slot, id: watcher.id, address: watcher.address, length: watcher.length })));
+  }
+
+  clearSuperWatcher() {
+
+    this.superwatcher = null;
+
+    return Promise.resolve();
+  }
+
+  unwatch(slot) {
+
+    if (slot < this.numStatus) {
+      delete this.watchers[slot];
+      return Promise.resolve();
+    } else if (slot == SLOT_SUPERWATCH) {
+      return this.clearSuperWatcher();
+    } else {
+      return Promise.reject(new RangeError('unwatch requested for invalid slot number ' + slot));
+    }
+  }
+
+  unwatchAll() {
+
+    this.watchers = [];
+    this.superwatcher = null;
+
+    return Promise.resolve();
+  }
+
+  /**
+   * The playback position
+   *
+   * @return     {number}  the time in the recording, in milliseconds since the epoch
+   */
+  currentTime() {
+    return this.startTime + this.currentPosition();
+  }
+
+  // The playback position, in milliseconds since the start of the recording
+  currentPosition() {
+
+    if (this.playing && isFinite(this.options.speed)) {
+      return Math.min(this.anchorPosition + (Date.now() - this.anchorWall) * this.options.speed,
+        this.endTime - this.startTime);
+    }
+
+    return this.position;
+  }
+
+  /**
+   * Starts (or resumes) playback from the current position
+   */
+  play() {
+
+    if (this.playing) {
+      return;
+    }
+
+    this.playing = true;
+    this.anchorWall = Date.now();
+    this.anchorPosition = this.position;
+
+    this.scheduleNext();
+  }
+
+  /**
+   * Pauses playback
+   */
+  pause() {
+
+    if (!this.playing) {
+      return;
+    }
+
+    this.position = this.currentPosition();
+    this.playing = false;
+
+    clearTimeout(this.timer);
+    clearImmediate(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Moves to a time in the recording
+   *
+   * The watchers are given the last values recorded at or before that
+   * time, and playback (if it was running) carries on from there.
+   *
+   * @param      {number|Date}  time    milliseconds since the epoch
+   */
+  seek(time) {
+
+    let wasPlaying = this.playing;
+
+    this.pause();
+
+    let position = Math.max(0, Math.min(Number(time) - this.startTime, this.endTime - this.startTime));
+
+    // the events up to the new position, and the latest for each location
+    let latest = {};
+    let index = 0;
+
+    while (index < this.events.length && this.events[index].elapsed <= position) {
+
+      let event = this.events[index];
+      let key = (event.slot === SLOT_SUPERWATCH) ? 'super:' + event.unit : event.unit + ':' + event.address;
+
+      latest[key] = event;
+      index++;
+    }
+
+    this.index = index;
+    this.position = position;
+
+    this.emit('seek', this.startTime + position);
+
+    Object.keys(latest)
+    .map((key) => latest[key])
+    .sort((a, b) => a.elapsed - b.elapsed)
+    .forEach((event) => this.deliver(event));
+
+    if (wasPlaying) {
+      this.play();
+    }
+  }
+
+  // Waits for the next event to come due, then delivers it
+  scheduleNext() {
+
+    let me = this;
+
+    if (!me.playing) {
+      return;
+    }
+
+    if (me.index >= me.events.length) {
+      me.position = me.endTime - me.startTime;
+      me.playing = false;
+      me.emit('end');
+      return;
+    }
+
+    let event = me.events[me.index];
+
+    if (!isFinite(me.options.speed)) {
+
+      me.timer = setImmediate(() => {
+        me.index++;
+        me.position = event.elapsed;
+        me.deliver(event);
+        me.scheduleNext();
+      });
+
+    } else {
+
+      let delay = (event.elapsed - me.currentPosition()) / me.options.speed;
+
+      me.timer = setTimeout(() => {
+
+        // deliver everything that is due by now
+        while (me.index < me.events.length && me.events[me.index].elapsed <= me.currentPosition()) {
+          me.deliver(me.events[me.index++]);
+        }
+
+        me.scheduleNext();
+
+      }, Math.max(0, delay));
+    }
+  }
+
+  // Passes a notification to the matching watchers
+  deliver(event) {
+
+    if (event.slot === SLOT_SUPERWATCH) {
+
+      let superwatcher = this.superwatcher;
+
+      if (superwatcher && superwatcher.id === event.unit &&
+        superwatcher.addresses.every((address) => undefined !== event.members[address])) {
+        superwatcher.notify(Buffer.from(superwatcher.addresses.map((address) => event.members[address])), SLOT_SUPERWATCH);
+      }
+
+    } else {
+
+      this.watchers.forEach((watcher) => {
+        if (watcher && watcher.id === event.unit && watcher.address === event.address &&
+          watcher.length === event.data.length) {
+          watcher.notify(event.data, watcher.slot);
+        }
+      });
+    }
+
+    this.emit('status', event.slot, event.data);
+  }
+
+  // Finds the recorded read that answers a request, preferring the latest
+  // one at or before the current position
+  findMemory(unit, address, length) {
+
+    let position = this.currentPosition();
+    let found = null;
+
+    for (let i = 0; i < this.memory.length; i++) {
+
+      let record = this.memory[i];
+
+      if (record.unit === unit && record.address <= address &&
+        address + length <= record.address + record.data.length) {
+
+        if (record.elapsed > position && found) {
+          break;
+        }
+
+        found = record;
+
+        if (record.elapsed > position) {
+          break;
+        }
+      }
+    }
+
+    return found;
+  }
+
+  // Answers a memory read from the recording, after the recorded latency
+  sendReadMemory(dest, address, length) {
+
+    let me = this;
+    let context = { unit: dest, opcode: FC_READ_MEMORY, address: address };
+
+    if (!me.isConnected()) {
+      return Promise.reject(new NotConnectedError(context));
+    }
+
+    let record = me.findMemory(dest, address, length);
+
+    if (!record) {
+      return Promise.reject(new DongleError('No recorded response', context));
+    }
+
+    let offset = address - record.address;
+    let data = Buffer.from(record.data.slice(offset, offset + length));
+
+    return new Promise(function(resolve) {
+
+      let answer = () => {
+        me.emit('readMemory', dest, address, data, record.latency);
+        resolve(data);
+      };
+
+      if (isFinite(me.options.speed)) {
+        setTimeout(answer, record.latency / me.options.speed);
+      } else {
+        setImmediate(answer);
+      }
+    });
+  }
+
+  writeMemory(dest, address) {
+    return Promise.reject(new DongleError('A replay cannot be written to', { unit: dest, opcode: FC_WRITE_MEMORY, address: address }));
+  }
+
+  writeMemoryVerify(dest, address) {
+    return Promise.reject(new DongleError('A replay cannot be written to', { unit: dest, opcode: FC_WRITE_MEMORY_VERIFY, address: address }));
+  }
+
+  command(dest, id) {
+    return Promise.reject(new DongleError('A replay cannot be sent commands', { unit: dest, opcode: id }));
+  }
+
+  /**
+   * Accepts a configuration (see Dongle.configure) without sending it
+   *
+   * An invalid configuration is rejected, as it would be by a Dongle.
+   *
+   * @return     {Promise}  resolves when done
+   */
+  configure(options) {
+
+    let encoded;
+
+    try {
+      encoded = Dongle.prototype.encodeConfiguration.call(this, options);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    this.configuration = encoded.configuration;
+
+    return Promise.resolve();
+  }
+
+  // Resolves as if the keyswitch was set; the recording is not affected
+  keyswitch(state) {
+
+    this.keyswitchState = !!state;
+
+    return Promise.resolve();
+  }
+
+  discoverControllers() {
+    return Promise.reject(new DongleError('A replay cannot discover controllers', { unit: DONGLE_ID, opcode: FC_REPORT_SLAVE_ID }));
+  }
+
+  readAccessKey() {
+    return Promise.reject(new DongleError('A replay has no access key', { unit: DONGLE_ID, opcode: FC_READ_OBJECT, address: OBJECT_INFO }));
+  }
+};
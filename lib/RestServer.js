@@ -0,0 +1,442 @@
+/**
+ * A local HTTP server with a JSON API for the dongle and its controllers
+ *
+ * Lets tools that aren't written in Node drive a connected dongle.  Routes:
+ *
+ *   GET  /dongle/info                      readDongleInfo(), plus the capabilities
+ *   POST /dongle/keyswitch                 body { state: true|false }
+ *   GET  /dongle/watchers                  getWatchers()
+ *   GET  /dongle/access-key                readAccessKey()
+ *   PUT  /dongle/access-key                body { key: 'text' }
+ *   GET  /controllers/:id/memory/:address  query ?length=n (default 1)
+ *   PUT  /controllers/:id/memory/:address  body { data: 'hex' } or { values: [bytes] }, optional verify: true
+ *
+ * Numbers in the path may be decimal or hex (0x0300).  Memory contents are
+ * given as hex strings.
+ *
+ * Failures are answered with a JSON body { error: { name, message, ... } }.
+ * The error includes the fields of the DongleError types (unit, opcode,
+ * address, code, status...), and the HTTP status reflects the type:
+ *
+ *   400  the request was not valid
+ *   404  no such route
+ *   501  the dongle firmware doesn't support the request (UnsupportedFirmwareError)
+ *   502  the device refused the request (ModbusExceptionError, CommandStatusError)
+ *   503  the dongle is not connected (NotConnectedError)
+ *   504  the device didn't answer (TimeoutError)
+ *
+ * Events:
+ *
+ * listening:
+ * Emitted (address) when the server is accepting connections.
+ *
+ * request:
+ * Emitted (method, path) for each request.
+ *
+ * error:
+ * Emitted (err) when the server fails.
+ *
+ */
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+const http = require('http');
+const url = require('url');
+
+const MotorController = require('./MotorController');
+
+const {
+  TimeoutError,
+  ModbusExceptionError,
+  CommandStatusError,
+  NotConnectedError,
+  UnsupportedFirmwareError,
+  describeError,
+} = require('./errors');
+
+const DEFAULT_PORT = 8080;
+
+// Largest request body we accept
+const MAX_BODY_SIZE = 64 * 1024;
+
+// Limits on the numbers in a request
+const MAX_ID = 255;
+const MAX_ADDRESS = 0xFFFF;
+const MAX_READ_LENGTH = 4096;
+
+// The HTTP status for each error type
+const ERROR_STATUS = [
+  { type: UnsupportedFirmwareError, status: 501 },
+  { type: ModbusExceptionError, status: 502 },
+  { type: CommandStatusError, status: 502 },
+  { type: NotConnectedError, status: 503 },
+  { type: TimeoutError, status: 504 },
+];
+
+
+// A problem with the HTTP request itself
+class RequestError extends Error {
+
+  constructor(status, message) {
+
+    super(message);
+
+    this.name = 'RequestError';
+    this.httpStatus = status;
+  }
+}
+
+// Parses a number from the path or query; decimal or 0x hex, from min to max.
+// Number() alone would also take '1e2', '0b1' or ' 12 '
+function parseNumber(text, what, min, max) {
+
+  let value = /^(0x[0-9a-f]+|\d+)$/i.test(text) ? Number(text) : NaN;
+
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new RequestError(400, 'Invalid ' + what + ': ' + text + ' (must be ' + min + ' to ' + max + ')');
+  }
+
+  return value;
+}
+
+// Checks that a range of memory doesn't run past the end of the address space
+function checkRange(address, length) {
+
+  if (address + length > MAX_ADDRESS + 1) {
+    throw new RequestError(400, 'Range of ' + length + ' bytes at ' + address + ' runs past the end of memory');
+  }
+}
+
+// Picks the HTTP status for an error
+function errorStatus(err) {
+
+  if (err instanceof RequestError) {
+    return err.httpStatus;
+  }
+
+  let match = ERROR_STATUS.find((entry) => err instanceof entry.type);
+
+  return (match) ? match.status : 500;
+}
+
+// Strips the unused (0xFF) bytes from the end of the access key
+function keyText(buffer) {
+
+  let end = buffer.length;
+
+  while (end > 0 && buffer[end - 1] === 0xFF) {
+    end--;
+  }
+
+  return buffer.slice(0, end).toString();
+}
+
+
+module.exports = class RestServer extends EventEmitter {
+
+  /**
+   * Constructor
+   *
+   * @param      {Dongle}  dongle   The connected dongle
+   * @param      {Object}  options  { port (default 8080), host (default '127.0.0.1') }
+   */
+  constructor(dongle, options) {
+
+    super();
+
+    this.dongle = dongle;
+
+    this.options = Object.assign({
+      port: DEFAULT_PORT,
+
+      // only local tools can connect unless told otherwise
+      host: '127.0.0.1',
+    }, options);
+
+    this.server = null;
+
+    // the MotorController for each ID we have been asked about
+    this.controllers = {};
+
+    // method, path pattern, handler(params, query, body)
+    this.routes = [
+      ['GET', /^\/dongle\/info$/, this.getInfo],
+      ['POST', /^\/dongle\/keyswitch$/, this.postKeyswitch],
+      ['GET', /^\/dongle\/watchers$/, this.getWatchers],
+      ['GET', /^\/dongle\/access-key$/, this.getAccessKey],
+      ['PUT', /^\/dongle\/access-key$/, this.putAccessKey],
+      ['GET', /^\/controllers\/([^/]+)\/memory\/([^/]+)$/, this.getMemory],
+      ['PUT', /^\/controllers\/([^/]+)\/memory\/([^/]+)$/, this.putMemory],
+    ];
+  }
+
+  /**
+   * Starts accepting connections
+   *
+   * @return     {Promise}  resolves with the address once listening
+   */
+  listen() {
+
+    let me = this;
+
+    return new Promise(function(resolve, reject) {
+
+      me.server = http.createServer(me.onRequest.bind(me));
+
+      me.server.once('error', reject);
+
+      me.server.listen(me.options.port, me.options.host, function() {
+
+        me.server.removeListener('error', reject);
+        me.server.on('error', me.emit.bind(me, 'error'));
+
+        let address = me.server.address();
+
+        me.emit('listening', address);
+        resolve(address);
+      });
+    });
+  }
+
+  /**
+   * Stops listening
+   *
+   * @return     {Promise}  resolves when the server has closed
+   */
+  close() {
+
+    let me = this;
+
+    return new Promise(function(resolve) {
+
+      if (!me.server) {
+        resolve();
+        return;
+      }
+
+      me.server.close(() => resolve());
+      me.server = null;
+    });
+  }
+
+  // Returns the MotorController for an ID
+  controller(id) {
+
+    if (!this.controllers[id]) {
+      this.controllers[id] = new MotorController(id, this.dongle);
+    }
+
+    return this.controllers[id];
+  }
+
+  // Routes a request and sends the result
+  onRequest(req, res) {
+
+    let me = this;
+    let parsed = url.parse(req.url, true);
+
+    me.emit('request', req.method, parsed.pathname);
+
+    me.readBody(req)
+    .then((body) => {
+
+      let pathMatched = false;
+
+      for (let i = 0; i < me.routes.length; i++) {
+
+        let route = me.routes[i];
+        let params = route[1].exec(parsed.pathname);
+
+        if (params) {
+          pathMatched = true;
+
+          if (route[0] === req.method) {
+            return route[2].call(me, params.slice(1), parsed.query, body);
+          }
+        }
+      }
+
+      if (pathMatched) {
+        throw new RequestError(405, 'Method ' + req.method + ' not allowed on ' + parsed.pathname);
+      }
+
+      throw new RequestError(404, 'No route for ' + parsed.pathname);
+    })
+    .then((result) => me.send(res, 200, result))
+    .catch((err) => {
+
+      let status = errorStatus(err);
+
+      // we stopped reading the body, so the connection can't be reused
+      if (413 === status) {
+        res.setHeader('Connection', 'close');
+      }
+
+      me.send(res, status, { error: describeError(err) });
+    });
+  }
+
+  // Reads and parses a JSON request body; resolves with {} if there is none
+  readBody(req) {
+
+    return new Promise(function(resolve, reject) {
+
+      let chunks = [];
+      let size = 0;
+
+      let onData = function(chunk) {
+
+        size += chunk.length;
+
+        if (size > MAX_BODY_SIZE) {
+
+          // stop reading, but leave the socket open for the 413 response
+          req.removeListener('data', onData);
+          req.pause();
+
+          reject(new RequestError(413, 'Request body is too large'));
+          return;
+        }
+
+        chunks.push(chunk);
+      };
+
+      req.on('data', onData);
+
+      req.on('end', () => {
+
+        let text = Buffer.concat(chunks).toString().trim();
+
+        if (!text) {
+          resolve({});
+          return;
+        }
+
+        let body;
+
+        try {
+          body = JSON.parse(text);
+        } catch (err) {
+          reject(new RequestError(400, 'Request body is not valid JSON'));
+          return;
+        }
+
+        // the handlers look for named fields
+        if (null === body || 'object' !== typeof(body) || Array.isArray(body)) {
+          reject(new RequestError(400, 'Request body must be a JSON object'));
+          return;
+        }
+
+        resolve(body);
+      });
+
+      req.on('error', reject);
+    });
+  }
+
+  // Sends a JSON response
+  send(res, status, body) {
+
+    let text = JSON.stringify(body);
+
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(text),
+    });
+
+    res.end(text);
+  }
+
+  // GET /dongle/info
+  async getInfo() {
+
+    let info = await this.dongle.readDongleInfo();
+
+    return Object.assign({}, info, {
+      systemId: info.systemId.toString('hex'),
+      capabilities: this.dongle.capabilities(),
+    });
+  }
+
+  // POST /dongle/keyswitch
+  async postKeyswitch(params, query, body) {
+
+    if ('boolean' !== typeof(body.state)) {
+      throw new RequestError(400, 'Expected { state: true|false }');
+    }
+
+    await this.dongle.keyswitch(body.state);
+
+    return { state: body.state };
+  }
+
+  // GET /dongle/watchers
+  async getWatchers() {
+
+    return this.dongle.getWatchers();
+  }
+
+  // GET /dongle/access-key
+  async getAccessKey() {
+
+    let buf = await this.dongle.readAccessKey();
+
+    return { key: keyText(buf), data: buf.toString('hex') };
+  }
+
+  // PUT /dongle/access-key
+  async putAccessKey(params, query, body) {
+
+    if ('string' !== typeof(body.key)) {
+      throw new RequestError(400, 'Expected { key: string }');
+    }
+
+    await this.dongle.writeAccessKey(body.key);
+
+    return { key: body.key };
+  }
+
+  // GET /controllers/:id/memory/:address
+  async getMemory(params, query) {
+
+    let id = parseNumber(params[0], 'controller ID', 0, MAX_ID);
+    let address = parseNumber(params[1], 'address', 0, MAX_ADDRESS);
+    let length = (undefined === query.length) ? 1 : parseNumber(query.length, 'length', 1, MAX_READ_LENGTH);
+
+    checkRange(address, length);
+
+    let data = await this.controller(id).readMemory(address, length);
+
+    return { id: id, address: address, length: data.length, data: data.toString('hex') };
+  }
+
+  // PUT /controllers/:id/memory/:address
+  async putMemory(params, query, body) {
+
+    let id = parseNumber(params[0], 'controller ID', 0, MAX_ID);
+    let address = parseNumber(params[1], 'address', 0, MAX_ADDRESS);
+    let data;
+
+    if ('string' === typeof(body.data) && /^([0-9a-fA-F]{2})+$/.test(body.data)) {
+      data = Buffer.from(body.data, 'hex');
+    } else if (Array.isArray(body.values) && body.values.length > 0 &&
+      body.values.every((value) => Number.isInteger(value) && value >= 0 && value <= 0xFF)) {
+      data = Buffer.from(body.values);
+    } else {
+      throw new RequestError(400, 'Expected { data: hex string } or { values: [bytes] }');
+    }
+
+    checkRange(address, data.length);
+
+    let controller = this.controller(id);
+
+    if (body.verify) {
+      await controller.writeMemoryVerify(address, data);
+    } else {
+      await controller.writeMemory(address, data);
+    }
+
+    return { id: id, address: address, length: data.length, verified: !!body.verify };
+  }
+};
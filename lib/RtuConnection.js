@@ -0,0 +1,162 @@
+/**
+ * A wired connection to a motor controller, using MODBUS RTU over a serial port
+ *
+ * Has the same readMemory, writeMemory, writeMemoryVerify and command
+ * methods as the Dongle (see ModbusConnection), so a MotorController can use
+ * either one:
+ *
+ *   const SerialPort = require('serialport');
+ *
+ *   let port = new SerialPort('/dev/ttyUSB0', { baudRate: 115200, autoOpen: false });
+ *   let connection = new RtuConnection(port);
+ *
+ *   await connection.open();
+ *   let controller = new MotorController(1, connection);
+ *
+ * The port can be a serialport SerialPort, or anything with the same
+ * isOpen, open(), close() and write() members and 'open', 'close', 'error'
+ * and 'data' events.
+ *
+ * Events:
+ *
+ * open:
+ * Emitted when the port has been opened.
+ *
+ * close:
+ * Emitted when the port is closed.
+ *
+ * error:
+ * Emitted (err) when the port reports an error.
+ *
+ */
+
+// a library that, among other things, sends and receives messages
+const Modbus = require('@csllc/cs-modbus');
+
+const ModbusConnection = require('./ModbusConnection');
+
+const ReadScheduler = require('./ReadScheduler');
+
+
+module.exports = class RtuConnection extends ModbusConnection {
+
+  /**
+   * Constructor
+   *
+   * @param      {Object}  port     The serial port
+   * @param      {Object}  options  The options (see below)
+   */
+  constructor(port, options) {
+
+    super();
+
+    this.options = Object.assign({
+
+      // Default number of milliseconds to wait for replies
+      defaultTimeout: 500,
+
+      // how many times to retry a request that gets no reply
+      defaultMaxRetries: 0,
+
+      // milliseconds of silence that mark the end of a response frame
+      eofTimeout: 40,
+
+      // milliseconds to hold memory reads so that reads of nearby addresses
+      // can be merged into one transaction; 0 sends each read straight away
+      readCoalesceWindow: 0,
+
+    }, options);
+
+    this.port = port;
+
+    // Only one request can be on the wire at a time
+    this.master = Modbus.createMaster({
+      transport: {
+        type: 'rtu',
+        eofTimeout: this.options.eofTimeout,
+        connection: {
+          type: 'serial',
+          serialPort: port,
+        }
+      },
+      suppressTransactionErrors: true,
+      retryOnException: false,
+      maxConcurrentRequests: 1,
+      defaultUnit: 1,
+      defaultMaxRetries: this.options.defaultMaxRetries,
+      defaultTimeout: this.options.defaultTimeout,
+    });
+
+    let connection = this.master.getConnection();
+
+    connection.on('open', this.emit.bind(this, 'open'));
+    connection.on('close', this.emit.bind(this, 'close'));
+    connection.on('error', this.emit.bind(this, 'error'));
+
+    if (this.options.readCoalesceWindow > 0) {
+      this.readScheduler = new ReadScheduler(
+        (dest, address, length) => this.sendReadMemory(dest, address, length),
+        { window: this.options.readCoalesceWindow });
+    }
+  }
+
+  isConnected() {
+    return !!this.port.isOpen;
+  }
+
+  isOpen() {
+    return this.isConnected();
+  }
+
+  /**
+   * Opens the serial port, if it isn't already
+   *
+   * @return     {Promise}  resolves when the port is open
+   */
+  open() {
+
+    let port = this.port;
+
+    return new Promise(function(resolve, reject) {
+
+      if (port.isOpen) {
+        resolve();
+        return;
+      }
+
+      port.open(function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Closes the serial port
+   *
+   * @return     {Promise}  resolves when the port is closed
+   */
+  close() {
+
+    let port = this.port;
+
+    return new Promise(function(resolve, reject) {
+
+      if (!port.isOpen) {
+        resolve();
+        return;
+      }
+
+      port.close(function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+};
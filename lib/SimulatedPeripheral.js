@@ -0,0 +1,888 @@
+/**
+ * Object representing a simulated CS1816 dongle
+ *
+ * This object stands in for the noble 'peripheral' that is normally
+ * discovered by scanning, so a Dongle can be created and exercised without
+ * any bluetooth hardware:
+ *
+ *   let peripheral = new SimulatedPeripheral();
+ *   let dongle = new Dongle(peripheral);
+ *   await dongle.connect();
+ *
+ * It exposes the device information, transparent UART and controller
+ * services with the same UUIDs as the real dongle.  MODBUS frames written to
+ * the UART TX characteristic are decoded and answered on the RX characteristic.
+ * Frames addressed to the dongle (unit 254) are handled here; frames addressed
+ * to any other unit are passed to the simulated device attached at that unit.
+ *
+ * A simulated device is any object that implements
+ *
+ *   readMemory(address, length)    returns a Buffer
+ *   writeMemory(address, data)     stores the Buffer
+ *
+ * and that emits a 'change' event (address, length) when its memory changes.
+ * If it also implements reportSlaveId(), returning { product, run, version },
+ * it answers the MODBUS report slave ID function code.
+ * The readMemory and writeMemory methods may throw an object with an
+ * 'exceptionCode' property to make the simulated dongle return a MODBUS
+ * exception response.
+ *
+ */
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+// The controller attached by default
+const Cs1108Simulator = require('./Cs1108Simulator');
+
+// The dongle's own MODBUS unit ID
+const DONGLE_ID = 254;
+
+// Service and characteristic UUIDs, as advertised by the real dongle
+const UUID_DEVICE_INFORMATION = '180a';
+const UUID_SYSTEM_ID = '2a23';
+const UUID_MODEL_NUMBER = '2a24';
+const UUID_SERIAL_NUMBER = '2a25';
+const UUID_FIRMWARE_REVISION = '2a26';
+const UUID_HARDWARE_REVISION = '2a27';
+const UUID_SOFTWARE_REVISION = '2a28';
+const UUID_MANUFACTURER_NAME = '2a29';
+
+const UUID_UART_SERVICE = '49535343fe7d4ae58fa99fafd205e455';
+const UUID_RX = '495353431e4d4bd9ba6123c647249616';
+const UUID_TX = '49535343884143f4a8d4ecbe34729bb3';
+const UUID_UART_CONTROL = '495353434c8a39b32f49511cff073b7e';
+
+const UUID_CONTROLLER_SERVICE = '6765ed1f4de149e14771a14380c90000';
+const UUID_PRODUCT = '6765ed1f4de149e14771a14380c90003';
+const UUID_SERIAL = '6765ed1f4de149e14771a14380c90004';
+const UUID_FAULT = '6765ed1f4de149e14771a14380c90005';
+const UUID_SUPERWATCHER = '6765ed1f4de149e14771a14380c900ff';
+
+// The status (watcher) characteristics are numbered consecutively
+const STATUS_BASE = 0x06;
+const NUM_STATUS = 25;
+
+// Largest number of bytes sent in a single notification
+const CHUNK_SIZE = 20;
+
+// Super watcher slot
+const SLOT_SUPERWATCH = 0xFF;
+const MAX_SUPERWATCH = 25;
+
+// Op codes the dongle accepts as commands
+const OP_CONFIGURE = 0;
+const OP_KEYSWITCH = 1;
+const OP_WATCH = 2;
+const OP_UNWATCH = 3;
+const OP_UNWATCH_ALL = 4;
+const OP_SUPERWATCH = 5;
+const OP_GET_WATCHER = 6;
+
+const GET_WATCHERS = 0;
+const GET_SUPERWATCHER = 1;
+
+// Operating modes and CAN bit rates, as encoded in OP_CONFIGURE
+const MODES = ['i2c', 'can', 'boot'];
+const CAN_RATES = [250000, 500000, 1000000];
+
+// MODBUS function codes
+const FC_REPORT_SLAVE_ID = 0x11;
+const FC_READ_OBJECT = 0x43;
+const FC_WRITE_OBJECT = 0x44;
+const FC_READ_MEMORY = 0x45;
+const FC_WRITE_MEMORY = 0x46;
+const FC_COMMAND = 0x47;
+const FC_WRITE_MEMORY_VERIFY = 0x64;
+
+// MODBUS exception codes
+const EX_ILLEGAL_FUNCTION = 0x01;
+const EX_ILLEGAL_ADDRESS = 0x02;
+const EX_ILLEGAL_VALUE = 0x03;
+const EX_GATEWAY_TARGET = 0x0B;
+
+// Command status returned when the dongle rejects a command
+const STATUS_OK = 0;
+const STATUS_FAIL = 1;
+
+// the object id of the flash memory page and its length in bytes
+const OBJECT_INFO = 0;
+const OBJECT_INFO_SIZE = 128;
+
+
+/**
+ * A characteristic that behaves like the noble characteristic object
+ */
+class SimulatedCharacteristic extends EventEmitter {
+
+  constructor(uuid, properties, value) {
+
+    super();
+
+    this.uuid = uuid;
+    this.properties = properties;
+    this.value = value || Buffer.alloc(0);
+    this.isSubscribed = false;
+
+    // hook called with data written to the characteristic
+    this.onWrite = null;
+
+    // hook called when notifications are enabled
+    this.onSubscribe = null;
+  }
+
+  read(cb) {
+    setImmediate(() => cb(null, Buffer.from(this.value)));
+  }
+
+  write(data, withoutResponse, cb) {
+
+    if (this.onWrite) {
+      this.onWrite(Buffer.from(data));
+    } else {
+      this.value = Buffer.from(data);
+    }
+
+    if ('function' === typeof(cb)) {
+      setImmediate(() => cb(null));
+    }
+  }
+
+  subscribe(cb) {
+
+    let wasSubscribed = this.isSubscribed;
+
+    this.isSubscribed = true;
+
+    setImmediate(() => {
+      if ('function' === typeof(cb)) {
+        cb(null);
+      }
+      if (!wasSubscribed && this.onSubscribe) {
+        this.onSubscribe();
+      }
+    });
+  }
+
+  unsubscribe(cb) {
+
+    this.isSubscribed = false;
+
+    if ('function' === typeof(cb)) {
+      setImmediate(() => cb(null));
+    }
+  }
+
+  /**
+   * Sends a notification, if the central has subscribed to them
+   *
+   * @param      {Buffer}  data    The value
+   */
+  notify(data) {
+
+    this.value = Buffer.from(data);
+
+    if (this.isSubscribed) {
+      this.emit('data', Buffer.from(data), true);
+    }
+  }
+}
+
+
+/**
+ * A plain 64k block of memory, for devices that have no memory map of their own
+ */
+class SimulatedMemory extends EventEmitter {
+
+  constructor(size) {
+    super();
+
+    this.memory = Buffer.alloc(size || 0x10000);
+  }
+
+  readMemory(address, length) {
+
+    if (address + length > this.memory.length) {
+      throw { exceptionCode: EX_ILLEGAL_ADDRESS };
+    }
+
+    return Buffer.from(this.memory.slice(address, address + length));
+  }
+
+  writeMemory(address, data) {
+
+    if (address + data.length > this.memory.length) {
+      throw { exceptionCode: EX_ILLEGAL_ADDRESS };
+    }
+
+    data.copy(this.memory, address);
+    this.emit('change', address, data.length);
+  }
+}
+
+
+/**
+ * Answers a MODBUS request addressed to a simulated device
+ *
+ * Used for the nodes behind a SimulatedPeripheral, and by SimulatedRtuSlave
+ * for a device on a serial link.
+ *
+ * @param      {Object}  device  The device (such as a Cs1108Simulator)
+ * @param      {Buffer}  pdu     The request
+ * @return     {Buffer}  the response PDU
+ * @throws     {Object}  { exceptionCode } if the request fails
+ */
+function handleDeviceRequest(device, pdu) {
+
+  let fc = pdu[0];
+
+  if (fc === FC_REPORT_SLAVE_ID) {
+    if ('function' !== typeof(device.reportSlaveId)) {
+      throw { exceptionCode: EX_ILLEGAL_FUNCTION };
+    }
+
+    let identity = device.reportSlaveId();
+    let version = identity.version.split('.').map((part) => parseInt(part, 10));
+
+    return Buffer.from([fc, 5, identity.product, identity.run].concat(version));
+  }
+
+  // a device has no commands of its own, so FC_COMMAND is refused too
+  if (fc !== FC_READ_MEMORY && fc !== FC_WRITE_MEMORY && fc !== FC_WRITE_MEMORY_VERIFY) {
+    throw { exceptionCode: EX_ILLEGAL_FUNCTION };
+  }
+
+  if (pdu.length < 4) {
+    throw { exceptionCode: EX_ILLEGAL_VALUE };
+  }
+
+  let address = pdu.readUInt16BE(1);
+
+  switch (fc) {
+    case FC_READ_MEMORY:
+      return Buffer.concat([Buffer.from([fc]), device.readMemory(address, pdu[3])]);
+
+    case FC_WRITE_MEMORY:
+      device.writeMemory(address, pdu.slice(3));
+      return Buffer.from([fc, STATUS_OK]);
+
+    case FC_WRITE_MEMORY_VERIFY:
+      device.writeMemory(address, pdu.slice(3));
+      if (!device.readMemory(address, pdu.length - 3).equals(pdu.slice(3))) {
+        throw { exceptionCode: 0x80 };
+      }
+      return Buffer.from([fc, STATUS_OK]);
+
+    default:
+      throw { exceptionCode: EX_ILLEGAL_FUNCTION };
+  }
+}
+
+
+class SimulatedPeripheral extends EventEmitter {
+
+  constructor(options) {
+
+    super();
+
+    this.options = Object.assign({
+
+      // the BLE MAC address and advertised name
+      address: '00:1e:c0:00:00:01',
+      localName: 'CS1816 Simulator',
+
+      // Device Information Service contents
+      modelNumber: 'CS1816',
+      serialNumber: 'SIM00001',
+      firmwareRevision: '1.0',
+      hardwareRevision: '1.0',
+      softwareRevision: '1.8',
+      manufacturerName: 'Control Solutions LLC',
+
+      // Controller service contents
+      product: 'CS1816',
+      serial: 'SIM00001',
+
+      // devices attached to the dongle, keyed by unit ID
+      devices: null,
+
+    }, options);
+
+    // The noble peripheral properties that applications look at
+    this.id = this.options.address.replace(/:/g, '');
+    this.uuid = this.id;
+    this.address = this.options.address;
+    this.addressType = 'public';
+    this.rssi = -50;
+    this.state = 'disconnected';
+    this.advertisement = {
+      localName: this.options.localName,
+      serviceUuids: [UUID_CONTROLLER_SERVICE],
+    };
+
+    // the attached devices, keyed by unit ID
+    this.devices = {};
+
+    let devices = this.options.devices || { 1: new Cs1108Simulator() };
+
+    Object.keys(devices).forEach((unit) => this.attach(Number(unit), devices[unit]));
+
+    // current dongle state
+    this.keyswitchState = false;
+    this.configuration = { mode: 'i2c' };
+    this.watchers = [];
+    this.superwatcher = null;
+    this.accessKey = Buffer.alloc(OBJECT_INFO_SIZE).fill(0xFF);
+
+    // bytes received on the TX characteristic that do not yet make a whole frame
+    this.rxBuffer = Buffer.alloc(0);
+
+    this.buildServices();
+  }
+
+  /**
+   * Attach a simulated device to the dongle
+   *
+   * @param      {number}  unit    The unit (node) ID of the device
+   * @param      {Object}  device  The simulated device
+   */
+  attach(unit, device) {
+
+    this.detach(unit);
+
+    let onChange = this.onDeviceChange.bind(this, unit);
+
+    device.on('change', onChange);
+
+    this.devices[unit] = { device: device, onChange: onChange };
+  }
+
+  /**
+   * Remove a simulated device from the dongle
+   *
+   * @param      {number}  unit    The unit (node) ID of the device
+   */
+  detach(unit) {
+
+    if (this.devices[unit]) {
+      this.devices[unit].device.removeListener('change', this.devices[unit].onChange);
+      delete this.devices[unit];
+    }
+  }
+
+  /**
+   * Returns the simulated device attached at a unit ID
+   *
+   * @param      {number}  unit    The unit (node) ID
+   * @return     {Object}  the device, or undefined
+   */
+  device(unit) {
+    return this.devices[unit] ? this.devices[unit].device : undefined;
+  }
+
+  // Create the services and characteristics exposed by the dongle
+  buildServices() {
+
+    let me = this;
+
+    let info = [
+      [UUID_SYSTEM_ID, Buffer.from([0, 0, 0, 0, 0, 0, 0, 0])],
+      [UUID_MODEL_NUMBER, Buffer.from(me.options.modelNumber)],
+      [UUID_SERIAL_NUMBER, Buffer.from(me.options.serialNumber)],
+      [UUID_FIRMWARE_REVISION, Buffer.from(me.options.firmwareRevision)],
+      [UUID_HARDWARE_REVISION, Buffer.from(me.options.hardwareRevision)],
+      [UUID_SOFTWARE_REVISION, Buffer.from(me.options.softwareRevision)],
+      [UUID_MANUFACTURER_NAME, Buffer.from(me.options.manufacturerName)],
+    ].map((def) => new SimulatedCharacteristic(def[0], ['read'], def[1]));
+
+    me.txCharacteristic = new SimulatedCharacteristic(UUID_TX, ['write', 'writeWithoutResponse']);
+    me.rxCharacteristic = new SimulatedCharacteristic(UUID_RX, ['notify']);
+    me.uartCharacteristic = new SimulatedCharacteristic(UUID_UART_CONTROL, ['write', 'notify']);
+
+    me.txCharacteristic.onWrite = me.onUartData.bind(me);
+
+    me.productChar = new SimulatedCharacteristic(UUID_PRODUCT, ['read'], Buffer.from(me.options.product));
+    me.serialChar = new SimulatedCharacteristic(UUID_SERIAL, ['read'], Buffer.from(me.options.serial));
+    me.faultChar = new SimulatedCharacteristic(UUID_FAULT, ['read', 'notify'], Buffer.from([0]));
+
+    me.statusChar = [];
+    for (let i = 0; i < NUM_STATUS; i++) {
+      let uuid = UUID_CONTROLLER_SERVICE.slice(0, -2) + ('0' + (STATUS_BASE + i).toString(16)).slice(-2);
+
+      me.statusChar[i] = new SimulatedCharacteristic(uuid, ['read', 'notify']);
+      me.statusChar[i].onSubscribe = me.notifyWatcher.bind(me, i, true);
+    }
+
+    me.superwatcherChar = new SimulatedCharacteristic(UUID_SUPERWATCHER, ['read', 'notify']);
+    me.superwatcherChar.onSubscribe = me.notifySuperwatcher.bind(me, true);
+
+    me.services = [
+      {
+        uuid: UUID_DEVICE_INFORMATION,
+        characteristics: info,
+      },
+      {
+        uuid: UUID_UART_SERVICE,
+        characteristics: [me.rxCharacteristic, me.txCharacteristic, me.uartCharacteristic],
+      },
+      {
+        uuid: UUID_CONTROLLER_SERVICE,
+        characteristics: [me.productChar, me.serialChar, me.faultChar]
+          .concat(me.statusChar, [me.superwatcherChar]),
+      },
+    ];
+  }
+
+  //------------------------------------//---------------------------------------
+  // noble peripheral interface
+
+  connect(cb) {
+
+    setImmediate(() => {
+      this.state = 'connected';
+      this.emit('connect');
+
+      if ('function' === typeof(cb)) {
+        cb(null);
+      }
+    });
+  }
+
+  disconnect(cb) {
+
+    setImmediate(() => {
+      this.onDisconnect();
+
+      if ('function' === typeof(cb)) {
+        cb(null);
+      }
+    });
+  }
+
+  /**
+   * Simulates the BLE link being dropped by the dongle
+   */
+  dropConnection() {
+    this.onDisconnect();
+  }
+
+  discoverSomeServicesAndCharacteristics(serviceUUIDs, characteristicUUIDs, cb) {
+
+    let me = this;
+
+    setImmediate(() => {
+
+      if (me.state !== 'connected') {
+        cb(new Error('Peripheral is not connected'));
+        return;
+      }
+
+      let services = me.services.filter((service) =>
+        !serviceUUIDs || serviceUUIDs.length === 0 || serviceUUIDs.indexOf(service.uuid) > -1);
+
+      let characteristics = [];
+
+      services.forEach((service) => {
+        service.characteristics.forEach((characteristic) => {
+          if (!characteristicUUIDs || characteristicUUIDs.length === 0 ||
+            characteristicUUIDs.indexOf(characteristic.uuid) > -1) {
+            characteristics.push(characteristic);
+          }
+        });
+      });
+
+      cb(null, services, characteristics);
+    });
+  }
+
+  discoverAllServicesAndCharacteristics(cb) {
+    this.discoverSomeServicesAndCharacteristics([], [], cb);
+  }
+
+  // A lost link drops the subscriptions and all the watchers
+  onDisconnect() {
+
+    if (this.state === 'disconnected') {
+      return;
+    }
+
+    this.state = 'disconnected';
+
+    this.services.forEach((service) => {
+      service.characteristics.forEach((characteristic) => {
+        characteristic.isSubscribed = false;
+      });
+    });
+
+    this.watchers = [];
+    this.superwatcher = null;
+    this.rxBuffer = Buffer.alloc(0);
+
+    this.emit('disconnect');
+  }
+
+  //------------------------------------//---------------------------------------
+  // MODBUS handling
+
+  // Collect bytes written to the TX characteristic and process complete frames
+  onUartData(data) {
+
+    this.rxBuffer = Buffer.concat([this.rxBuffer, data]);
+
+    // MODBUS/IP header: transaction id, protocol id, length, unit
+    while (this.rxBuffer.length >= 7) {
+
+      let length = this.rxBuffer.readUInt16BE(4);
+
+      if (this.rxBuffer.length < 6 + length) {
+        break;
+      }
+
+      let transactionId = this.rxBuffer.readUInt16BE(0);
+      let unit = this.rxBuffer[6];
+      let pdu = this.rxBuffer.slice(7, 6 + length);
+
+      this.rxBuffer = this.rxBuffer.slice(6 + length);
+
+      this.emit('request', unit, pdu);
+
+      let response = this.handleRequest(unit, pdu);
+
+      if (response) {
+        this.sendResponse(transactionId, unit, response);
+      }
+    }
+  }
+
+  // Frame a response PDU and send it on the RX characteristic
+  sendResponse(transactionId, unit, pdu) {
+
+    let adu = Buffer.alloc(7 + pdu.length);
+
+    adu.writeUInt16BE(transactionId, 0);
+    adu.writeUInt16BE(0, 2);
+    adu.writeUInt16BE(pdu.length + 1, 4);
+    adu[6] = unit;
+    pdu.copy(adu, 7);
+
+    setImmediate(() => {
+      for (let index = 0; index < adu.length; index += CHUNK_SIZE) {
+        this.rxCharacteristic.notify(adu.slice(index, index + CHUNK_SIZE));
+      }
+    });
+  }
+
+  /**
+   * Process a request PDU
+   *
+   * @param      {number}  unit    The unit ID the request is addressed to
+   * @param      {Buffer}  pdu     The request
+   * @return     {Buffer}  the response PDU, or null if there should be no response
+   */
+  handleRequest(unit, pdu) {
+
+    let fc = pdu[0];
+
+    try {
+      if (unit === DONGLE_ID) {
+        return this.handleDongleRequest(pdu);
+      } else {
+        return this.handleDeviceRequest(unit, pdu);
+      }
+    } catch (err) {
+      if (err && err.exceptionCode) {
+        return Buffer.from([fc | 0x80, err.exceptionCode]);
+      }
+      throw err;
+    }
+  }
+
+  // Requests addressed to the dongle itself
+  handleDongleRequest(pdu) {
+
+    switch (pdu[0]) {
+      case FC_COMMAND:
+        return Buffer.concat([
+          Buffer.from([FC_COMMAND, pdu[1]]),
+          this.handleCommand(pdu[1], pdu.slice(2))
+        ]);
+
+      case FC_READ_OBJECT:
+        if (pdu[1] !== OBJECT_INFO) {
+          throw { exceptionCode: EX_ILLEGAL_ADDRESS };
+        }
+        return Buffer.concat([Buffer.from([FC_READ_OBJECT, this.accessKey.length]), this.accessKey]);
+
+      case FC_WRITE_OBJECT:
+        if (pdu[1] !== OBJECT_INFO) {
+          throw { exceptionCode: EX_ILLEGAL_ADDRESS };
+        }
+        this.accessKey = Buffer.alloc(OBJECT_INFO_SIZE).fill(0xFF);
+        pdu.slice(3, 3 + Math.min(pdu[2], OBJECT_INFO_SIZE)).copy(this.accessKey);
+        return Buffer.from([FC_WRITE_OBJECT, STATUS_OK]);
+
+      default:
+        throw { exceptionCode: EX_ILLEGAL_FUNCTION };
+    }
+  }
+
+  // Requests forwarded to an attached device
+  handleDeviceRequest(unit, pdu) {
+
+    let device = this.device(unit);
+
+    if (!device) {
+      throw { exceptionCode: EX_GATEWAY_TARGET };
+    }
+
+    return handleDeviceRequest(device, pdu);
+  }
+
+  /**
+   * Executes a dongle command
+   *
+   * @param      {number}  op      The opcode
+   * @param      {Buffer}  data    The command payload
+   * @return     {Buffer}  the response values; the first byte is the status
+   */
+  handleCommand(op, data) {
+
+    let me = this;
+
+    switch (op) {
+
+      case OP_CONFIGURE:
+        return me.configure(data);
+
+      case OP_KEYSWITCH:
+        me.keyswitchState = (data[0] === 1);
+        me.emit('keyswitch', me.keyswitchState);
+        return Buffer.from([STATUS_OK]);
+
+      case OP_WATCH: {
+        if (data.length === 0 || data.length % 5 !== 0) {
+          return Buffer.from([STATUS_FAIL]);
+        }
+
+        let list = [];
+        for (let offset = 0; offset < data.length; offset += 5) {
+          let watcher = {
+            slot: data[offset],
+            id: data[offset + 1],
+            address: data.readUInt16BE(offset + 2),
+            length: data[offset + 4],
+            last: null,
+          };
+
+          if (watcher.slot >= NUM_STATUS || watcher.length < 1 || watcher.length > CHUNK_SIZE) {
+            return Buffer.from([STATUS_FAIL]);
+          }
+          list.push(watcher);
+        }
+
+        list.forEach((watcher) => {
+          me.watchers[watcher.slot] = watcher;
+          me.notifyWatcher(watcher.slot, true);
+        });
+        return Buffer.from([STATUS_OK]);
+      }
+
+      case OP_UNWATCH:
+        for (let i = 0; i < data.length; i++) {
+          if (data[i] === SLOT_SUPERWATCH) {
+            me.superwatcher = null;
+          } else {
+            me.watchers[data[i]] = undefined;
+          }
+        }
+        return Buffer.from([STATUS_OK]);
+
+      case OP_UNWATCH_ALL:
+        me.watchers = [];
+        me.superwatcher = null;
+        return Buffer.from([STATUS_OK]);
+
+      case OP_SUPERWATCH: {
+        if (data.length < 2 || data[0] !== SLOT_SUPERWATCH || data.length % 2 !== 0 ||
+          (data.length - 2) / 2 > MAX_SUPERWATCH) {
+          return Buffer.from([STATUS_FAIL]);
+        }
+
+        let addresses = [];
+        for (let offset = 2; offset < data.length; offset += 2) {
+          addresses.push(data.readUInt16BE(offset));
+        }
+
+        if (addresses.length > 0) {
+          me.superwatcher = { id: data[1], addresses: addresses, last: null };
+          me.notifySuperwatcher(true);
+        } else {
+          me.superwatcher = null;
+        }
+        return Buffer.from([STATUS_OK]);
+      }
+
+      case OP_GET_WATCHER:
+        if (data[0] === GET_WATCHERS) {
+          let list = [STATUS_OK];
+
+          me.watchers.forEach((watcher) => {
+            if (watcher) {
+              list.push(watcher.slot, watcher.id, watcher.address >> 8, watcher.address & 0xFF, watcher.length);
+            }
+          });
+          return Buffer.from(list);
+
+        } else if (data[0] === GET_SUPERWATCHER) {
+          let list = [STATUS_OK, SLOT_SUPERWATCH];
+
+          if (me.superwatcher) {
+            list.push(me.superwatcher.id);
+            me.superwatcher.addresses.forEach((address) => list.push(address >> 8, address & 0xFF));
+          } else {
+            list.push(0);
+          }
+          return Buffer.from(list);
+        }
+        return Buffer.from([STATUS_FAIL]);
+
+      default:
+        return Buffer.from([STATUS_FAIL]);
+    }
+  }
+
+  /**
+   * Applies an OP_CONFIGURE payload
+   *
+   * An empty payload leaves the dongle in its default (I2C) mode.
+   *
+   * @param      {Buffer}  data    The command payload
+   * @return     {Buffer}  the response values
+   */
+  configure(data) {
+
+    let configuration;
+
+    if (data.length === 0) {
+      configuration = { mode: 'i2c' };
+    } else if (MODES[data[0]] === 'can' && data.length === 3 && CAN_RATES[data[1]] &&
+      data[2] > 0 && data[2] < 0xFF) {
+      configuration = { mode: 'can', modeOptions: { baud: CAN_RATES[data[1]], myId: data[2] } };
+    } else if (MODES[data[0]] && MODES[data[0]] !== 'can' && data.length === 1) {
+      configuration = { mode: MODES[data[0]] };
+    } else {
+      return Buffer.from([STATUS_FAIL]);
+    }
+
+    this.configuration = configuration;
+    this.emit('configure', configuration);
+
+    return Buffer.from([STATUS_OK]);
+  }
+
+  //------------------------------------//---------------------------------------
+  // Watchers
+
+  // Reads the current value of a watched location, or null if it can't be read
+  readWatched(id, address, length) {
+
+    let device = this.device(id);
+
+    if (!device) {
+      return null;
+    }
+
+    try {
+      return device.readMemory(address, length);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Sends the watched value on a status characteristic, if it changed
+   *
+   * @param      {number}   slot    The watcher slot
+   * @param      {boolean}  force   send even if the value did not change
+   */
+  notifyWatcher(slot, force) {
+
+    let watcher = this.watchers[slot];
+
+    if (!watcher) {
+      return;
+    }
+
+    let value = this.readWatched(watcher.id, watcher.address, watcher.length);
+
+    if (value && (force || !watcher.last || !value.equals(watcher.last))) {
+      watcher.last = value;
+      this.statusChar[slot].notify(value);
+    }
+  }
+
+  /**
+   * Sends the super watcher values, if any of them changed
+   *
+   * @param      {boolean}  force   send even if no value changed
+   */
+  notifySuperwatcher(force) {
+
+    let superwatcher = this.superwatcher;
+
+    if (!superwatcher) {
+      return;
+    }
+
+    let values = superwatcher.addresses.map((address) => this.readWatched(superwatcher.id, address, 1));
+
+    if (values.some((value) => value === null)) {
+      return;
+    }
+
+    let value = Buffer.concat(values);
+
+    if (force || !superwatcher.last || !value.equals(superwatcher.last)) {
+      superwatcher.last = value;
+      this.superwatcherChar.notify(value);
+    }
+  }
+
+  // Called when memory in an attached device changes
+  onDeviceChange(unit, address, length) {
+
+    let end = address + (length || 1);
+
+    this.watchers.forEach((watcher) => {
+      if (watcher && watcher.id === unit &&
+        watcher.address < end && address < watcher.address + watcher.length) {
+        this.notifyWatcher(watcher.slot, false);
+      }
+    });
+
+    if (this.superwatcher && this.superwatcher.id === unit &&
+      this.superwatcher.addresses.some((member) => member >= address && member < end)) {
+      this.notifySuperwatcher(false);
+    }
+  }
+
+  /**
+   * Sets the value of the fault characteristic and notifies the central
+   *
+   * @param      {number}  fault   The fault code
+   */
+  setFault(fault) {
+    this.faultChar.notify(Buffer.from([fault]));
+  }
+}
+
+/**
+ * Exports
+ *
+ * @ignore
+ */
+module.exports = {
+  SimulatedPeripheral: SimulatedPeripheral,
+  SimulatedMemory: SimulatedMemory,
+  handleDeviceRequest: handleDeviceRequest,
+};
@@ -0,0 +1,152 @@
+/**
+ * A simulated motor controller on a serial (MODBUS RTU) link
+ *
+ * Answers the requests RtuConnection sends, using a simulated device
+ * (a Cs1108Simulator unless told otherwise).  Attach it to one end of a
+ * pseudo-terminal pair, or a loopback serial cable, and open the other end
+ * with RtuConnection to exercise the wired link without a controller:
+ *
+ *   let slave = new SimulatedRtuSlave(port, { unit: 1 });
+ *   slave.device.set('faultCode', 7);
+ *
+ * The port can be a serialport SerialPort, or anything else that emits
+ * 'data' events and has a write() method.
+ *
+ * Events:
+ *
+ * request:
+ * Emitted (unit, pdu) for each valid frame addressed to this slave.
+ *
+ */
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+const Cs1108Simulator = require('./Cs1108Simulator');
+
+const { handleDeviceRequest } = require('./SimulatedPeripheral');
+
+// Milliseconds of silence that mark the end of a request frame
+const DEFAULT_FRAME_GAP = 5;
+
+// Unit ID, function code and CRC
+const MIN_FRAME_LENGTH = 4;
+
+
+// The MODBUS RTU CRC of a buffer
+function crc16(buffer) {
+
+  let crc = 0xFFFF;
+
+  for (let i = 0; i < buffer.length; i++) {
+
+    crc ^= buffer[i];
+
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc & 1) ? ((crc >> 1) ^ 0xA001) : (crc >> 1);
+    }
+  }
+
+  return crc;
+}
+
+
+module.exports = class SimulatedRtuSlave extends EventEmitter {
+
+  /**
+   * Constructor
+   *
+   * @param      {Object}  port     The serial port (or stream) to listen on
+   * @param      {Object}  options  { unit: our unit ID (default 1), device, frameGap }
+   */
+  constructor(port, options) {
+
+    super();
+
+    this.options = Object.assign({
+      unit: 1,
+      frameGap: DEFAULT_FRAME_GAP,
+    }, options);
+
+    this.port = port;
+    this.device = this.options.device || new Cs1108Simulator();
+
+    this.rxBuffer = Buffer.alloc(0);
+    this.frameTimer = null;
+
+    this.onData = this.onData.bind(this);
+    port.on('data', this.onData);
+  }
+
+  /**
+   * Stops listening to the port
+   */
+  close() {
+
+    clearTimeout(this.frameTimer);
+    this.port.removeListener('data', this.onData);
+  }
+
+  // Collects bytes until the line goes quiet
+  onData(data) {
+
+    this.rxBuffer = Buffer.concat([this.rxBuffer, data]);
+
+    clearTimeout(this.frameTimer);
+    this.frameTimer = setTimeout(this.onFrame.bind(this), this.options.frameGap);
+  }
+
+  // Handles a complete frame.  Like a real slave, we ignore frames with a
+  // bad CRC and frames for other units
+  onFrame() {
+
+    let frame = this.rxBuffer;
+
+    this.rxBuffer = Buffer.alloc(0);
+    this.frameTimer = null;
+
+    if (frame.length < MIN_FRAME_LENGTH) {
+      return;
+    }
+
+    let body = frame.slice(0, frame.length - 2);
+
+    if (crc16(body) !== frame.readUInt16LE(frame.length - 2)) {
+      return;
+    }
+
+    let unit = body[0];
+    let pdu = body.slice(1);
+
+    if (unit !== this.options.unit) {
+      return;
+    }
+
+    this.emit('request', unit, pdu);
+
+    let response;
+
+    try {
+      response = handleDeviceRequest(this.device, pdu);
+    } catch (err) {
+      if (err && err.exceptionCode) {
+        response = Buffer.from([pdu[0] | 0x80, err.exceptionCode]);
+      } else {
+        throw err;
+      }
+    }
+
+    this.send(unit, response);
+  }
+
+  // Frames a response and writes it to the port
+  send(unit, pdu) {
+
+    let body = Buffer.concat([Buffer.from([unit]), pdu]);
+    let crc = Buffer.alloc(2);
+
+    crc.writeUInt16LE(crc16(body), 0);
+
+    this.port.write(Buffer.concat([body, crc]));
+  }
+};
@@ -0,0 +1,109 @@
+const DataType = require('./DataType');
+
+// The most locations the dongle's super watcher can watch
+const MAX_MEMBERS = 25;
+
+/**
+ * Describes the set of locations watched by the dongle's super watcher
+ *
+ * Each member is one byte.  A member can be given as a plain address, or as
+ * { address, name, type } where the optional name is used as its key in the
+ * decoded result and the optional type is a one-byte data type descriptor
+ * (see DataType).
+ *
+ * Notifications are passed to the callback as (members, slot, raw), where
+ * members is keyed by name (or by address when there is no name):
+ *
+ *   {
+ *     faultCode: { address: 0x0038, value: 7, changed: true },
+ *     0x0005:    { address: 0x0005, value: 0, changed: false },
+ *   }
+ *
+ * 'changed' is set for the members whose byte differs from the previous
+ * notification (all of them, for the first one).
+ */
+module.exports = class SuperWatcher {
+
+  constructor(id, members, cb) {
+
+    if (members.length > MAX_MEMBERS) {
+      throw new RangeError('A super watcher watches up to ' + MAX_MEMBERS +
+        ' locations, got ' + members.length);
+    }
+
+    this.id = id;
+    this.cb = cb;
+
+    // the members as given, so the super watcher can be set up again
+    this.definition = members;
+
+    this.members = members.map((member) => {
+
+      if ('number' === typeof(member)) {
+        member = { address: member };
+      }
+
+      let type = null;
+
+      if (member.type) {
+        type = DataType.from(member.type);
+
+        if (type.width !== 1) {
+          throw new Error('Super watcher members are one byte wide');
+        }
+      }
+
+      return {
+        address: member.address,
+        key: (undefined === member.name) ? member.address : member.name,
+        type: type,
+      };
+    });
+
+    this.addresses = this.members.map((member) => member.address);
+
+    // the previous notification, to work out what changed
+    this.last = null;
+  }
+
+  /**
+   * Converts a notification into the member map
+   *
+   * @param      {Buffer}  data    The notification, one byte per member
+   * @return     {Object}  the members, keyed by name or address
+   */
+  decode(data) {
+
+    let result = {};
+
+    this.members.forEach((member, index) => {
+
+      if (index < data.length) {
+        let raw = data.slice(index, index + 1);
+
+        result[member.key] = {
+          address: member.address,
+          value: (member.type) ? member.type.decode(raw) : raw[0],
+          changed: !this.last || index >= this.last.length || this.last[index] !== raw[0],
+        };
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Passes a notification to the callback
+   *
+   * @param      {Buffer}  data    The notification
+   * @param      {number}  slot    The slot it arrived on
+   */
+  notify(data, slot) {
+
+    let result = this.decode(data);
+
+    this.last = Buffer.from(data);
+
+    this.cb(result, slot, data);
+  }
+};
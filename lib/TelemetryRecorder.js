@@ -0,0 +1,421 @@
+/**
+ * Records watcher and super watcher notifications to files
+ *
+ * Every notification the dongle delivers (see the Dongle 'status' event)
+ * becomes a record:
+ *
+ *   time:     when it arrived, in milliseconds since the epoch (to the microsecond)
+ *   elapsed:  milliseconds since the recording started
+ *   kind:     'status'
+ *   slot:     the watcher slot (255 for the super watcher)
+ *   unit:     the controller ID
+ *   address:  the address watched
+ *   name:     the super watcher member name, if it has one
+ *   value:    the decoded value (see DataType; unsigned big-endian if the
+ *             watcher has no type)
+ *   raw:      the bytes, as a hex string
+ *
+ * A super watcher notification gives one record per member.
+ *
+ * Unless the memory option is turned off, each memory read (see the
+ * 'readMemory' event of ModbusConnection) is recorded as well, so that
+ * ReplayDongle can answer it.  These records have the kind 'memory', the
+ * unit, address and raw data, and the latency of the response in
+ * milliseconds.
+ *
+ * Records are written as NDJSON (one JSON object per line) or CSV.  Each
+ * file starts with a session header holding the readDongleInfo() data and
+ * the watchers that were active when the file was started; in NDJSON this
+ * is a { session: {...} } line, in CSV a '# session {...}' comment line
+ * followed by the column names.
+ *
+ * When a file reaches maxBytes a new one is started, and only the latest
+ * maxFiles are kept.  Files are named <prefix>-<start time>-<n>.<format>:
+ *
+ *   let recorder = new TelemetryRecorder(dongle, { dir: './logs', format: 'csv' });
+ *
+ *   await recorder.start();
+ *   ...
+ *   await recorder.stop();
+ *
+ * Events:
+ *
+ * file:
+ * Emitted (path) when a new file is started.
+ *
+ * record:
+ * Emitted (record) for each record written.
+ *
+ * error:
+ * Emitted (err) when a file can't be written.
+ *
+ */
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+const fs = require('fs');
+const path = require('path');
+
+// Super watcher slot
+const SLOT_SUPERWATCH = 0xFF;
+
+// The columns of a record, in CSV order
+const COLUMNS = ['time', 'elapsed', 'kind', 'slot', 'unit', 'address', 'name', 'value', 'raw', 'latency'];
+
+
+// returns a string with prepended zeros to the requested length
+function zeroPad(number, length) {
+  var pad = new Array(length + 1).join('0');
+  return (pad + number).slice(-pad.length);
+}
+
+// Formats a date for use in a file name, eg 20201019-143005
+function fileStamp(date) {
+
+  return date.getFullYear() +
+    zeroPad(date.getMonth() + 1, 2) +
+    zeroPad(date.getDate(), 2) + '-' +
+    zeroPad(date.getHours(), 2) +
+    zeroPad(date.getMinutes(), 2) +
+    zeroPad(date.getSeconds(), 2);
+}
+
+// Quotes a CSV field if it needs it
+function csvField(value) {
+
+  let text = (undefined === value || null === value) ? '' : String(value);
+
+  if (/[",\r\n]/.test(text)) {
+    text = '"' + text.replace(/"/g, '""') + '"';
+  }
+
+  return text;
+}
+
+// Decodes watched bytes: with the type if there is one, otherwise as an
+// unsigned big-endian number
+function decodeValue(type, raw) {
+
+  if (type) {
+    return type.decode(raw);
+  }
+
+  if (raw.length >= 1 && raw.length <= 6) {
+    return raw.readUIntBE(0, raw.length);
+  }
+
+  return raw.toString('hex');
+}
+
+
+module.exports = class TelemetryRecorder extends EventEmitter {
+
+  /**
+   * Constructor
+   *
+   * @param      {Dongle}  dongle   The connected dongle
+   * @param      {Object}  options  The options (see below)
+   */
+  constructor(dongle, options) {
+
+    super();
+
+    this.dongle = dongle;
+
+    this.options = Object.assign({
+
+      // the directory to write the files in
+      dir: '.',
+
+      // the start of each file name
+      prefix: 'telemetry',
+
+      // 'ndjson' or 'csv'
+      format: 'ndjson',
+
+      // start a new file when the current one reaches this many bytes
+      maxBytes: 10 * 1024 * 1024,
+
+      // how many files to keep; 0 keeps them all
+      maxFiles: 0,
+
+      // record memory reads as well as notifications
+      memory: true,
+
+    }, options);
+
+    if ('ndjson' !== this.options.format && 'csv' !== this.options.format) {
+      throw new Error('Telemetry format must be ndjson or csv, got ' + this.options.format);
+    }
+
+    // the readDongleInfo() data for the session headers
+    this.info = null;
+
+    this.started = null;
+    this.startTime = null;
+
+    this.stream = null;
+    this.bytes = 0;
+    this.fileIndex = 0;
+    this.files = [];
+
+    this.onStatus = this.onStatus.bind(this);
+    this.onReadMemory = this.onReadMemory.bind(this);
+  }
+
+  /**
+   * Reads the dongle information and starts recording
+   *
+   * @return     {Promise}  resolves with the path of the first file
+   */
+  async start() {
+
+    if (this.stream) {
+      throw new Error('Telemetry recorder is already running');
+    }
+
+    this.info = await this.dongle.readDongleInfo();
+
+    this.started = new Date();
+    this.startTime = process.hrtime();
+    this.fileIndex = 0;
+    this.files = [];
+
+    let file = this.openFile();
+
+    this.dongle.on('status', this.onStatus);
+
+    if (this.options.memory) {
+      this.dongle.on('readMemory', this.onReadMemory);
+    }
+
+    return file;
+  }
+
+  /**
+   * Stops recording and closes the file
+   *
+   * @return     {Promise}  resolves when the file has been written
+   */
+  stop() {
+
+    let me = this;
+
+    me.dongle.removeListener('status', me.onStatus);
+    me.dongle.removeListener('readMemory', me.onReadMemory);
+
+    let stream = me.stream;
+    me.stream = null;
+
+    return new Promise(function(resolve) {
+
+      if (!stream) {
+        resolve();
+        return;
+      }
+
+      stream.end(() => resolve());
+    });
+  }
+
+  // The milliseconds since recording started, to the microsecond
+  elapsed() {
+
+    let diff = process.hrtime(this.startTime);
+
+    return Math.round(diff[0] * 1e6 + diff[1] / 1e3) / 1e3;
+  }
+
+  // The time and elapsed fields for a record made now
+  timestamp() {
+
+    let elapsed = this.elapsed();
+
+    return {
+      time: Math.round((this.started.getTime() + elapsed) * 1e3) / 1e3,
+      elapsed: elapsed,
+    };
+  }
+
+  // The watchers active on the dongle, for the session header
+  activeWatchers() {
+
+    let watchers = this.dongle.watchers
+    .filter((watcher) => !!watcher)
+    .map((watcher) => ({
+      slot: watcher.slot,
+      id: watcher.id,
+      address: watcher.address,
+      length: watcher.length,
+    }));
+
+    let superwatcher = this.dongle.superwatcher;
+
+    return {
+      watchers: watchers,
+      superwatcher: (superwatcher) ? {
+        id: superwatcher.id,
+        members: superwatcher.members.map((member) => ({
+          address: member.address,
+          name: ('number' === typeof(member.key)) ? undefined : member.key,
+        })),
+      } : null,
+    };
+  }
+
+  // Starts the next file, and writes the session header to it
+  openFile() {
+
+    let me = this;
+    let previous = me.stream;
+
+    me.fileIndex++;
+
+    let name = me.options.prefix + '-' + fileStamp(me.started) + '-' +
+      zeroPad(me.fileIndex, 3) + '.' + me.options.format;
+
+    let file = path.join(me.options.dir, name);
+
+    me.stream = fs.createWriteStream(file);
+    me.stream.on('error', me.emit.bind(me, 'error'));
+    me.bytes = 0;
+
+    me.files.push(file);
+
+    // old files are only deleted once the last one has been written out
+    if (previous) {
+      previous.end(() => me.pruneFiles());
+    } else {
+      me.pruneFiles();
+    }
+
+    let session = Object.assign({
+      started: me.started.toISOString(),
+      file: me.fileIndex,
+      dongle: Object.assign({}, me.info, { systemId: me.info.systemId.toString('hex') }),
+    }, me.activeWatchers());
+
+    if ('csv' === me.options.format) {
+      me.write('# session ' + JSON.stringify(session) + '\n' + COLUMNS.join(',') + '\n');
+    } else {
+      me.write(JSON.stringify({ session: session }) + '\n');
+    }
+
+    me.emit('file', file);
+
+    return file;
+  }
+
+  // Deletes the oldest files beyond maxFiles
+  pruneFiles() {
+
+    while (this.options.maxFiles > 0 && this.files.length > this.options.maxFiles) {
+
+      fs.unlink(this.files.shift(), (err) => {
+        if (err) {
+          this.emit('error', err);
+        }
+      });
+    }
+  }
+
+  // Writes text to the current file
+  write(text) {
+
+    this.bytes += Buffer.byteLength(text);
+    this.stream.write(text);
+  }
+
+  // Turns a notification into records and writes them
+  onStatus(slot, data) {
+
+    if (!this.stream) {
+      return;
+    }
+
+    let stamp = this.timestamp();
+    let records = [];
+
+    if (slot === SLOT_SUPERWATCH) {
+
+      let superwatcher = this.dongle.superwatcher;
+
+      if (superwatcher) {
+        superwatcher.members.forEach((member, index) => {
+
+          if (index < data.length) {
+            let raw = data.slice(index, index + 1);
+
+            records.push({
+              time: stamp.time,
+              elapsed: stamp.elapsed,
+              kind: 'status',
+              slot: slot,
+              unit: superwatcher.id,
+              address: member.address,
+              name: ('number' === typeof(member.key)) ? undefined : member.key,
+              value: decodeValue(member.type, raw),
+              raw: raw.toString('hex'),
+            });
+          }
+        });
+      }
+
+    } else {
+
+      let watcher = this.dongle.watchers[slot];
+
+      if (watcher) {
+        records.push({
+          time: stamp.time,
+          elapsed: stamp.elapsed,
+          kind: 'status',
+          slot: slot,
+          unit: watcher.id,
+          address: watcher.address,
+          value: decodeValue(watcher.type, data),
+          raw: data.toString('hex'),
+        });
+      }
+    }
+
+    records.forEach((record) => this.writeRecord(record));
+  }
+
+  // Records a memory read
+  onReadMemory(unit, address, data, latency) {
+
+    if (!this.stream) {
+      return;
+    }
+
+    let stamp = this.timestamp();
+
+    this.writeRecord({
+      time: stamp.time,
+      elapsed: stamp.elapsed,
+      kind: 'memory',
+      unit: unit,
+      address: address,
+      raw: data.toString('hex'),
+      latency: latency,
+    });
+  }
+
+  // Writes a record, starting a new file first if this one is full
+  writeRecord(record) {
+
+    if (this.bytes >= this.options.maxBytes) {
+      this.openFile();
+    }
+
+    if ('csv' === this.options.format) {
+      this.write(COLUMNS.map((column) => csvField(record[column])).join(',') + '\n');
+    } else {
+      this.write(JSON.stringify(record) + '\n');
+    }
+
+    this.emit('record', record);
+  }
+};
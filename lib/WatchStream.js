@@ -0,0 +1,506 @@
+/**
+ * A WebSocket endpoint that pushes watched values to clients as they change
+ *
+ * Clients send JSON messages to subscribe to controller locations, or to
+ * named signals, and receive an update each time the dongle reports a new
+ * value.  Messages from the client:
+ *
+ *   { op: 'subscribe', ref, id, address, length }   a location (length defaults to 1)
+ *   { op: 'subscribe', ref, id, address, type }     a location, decoded (see DataType)
+ *   { op: 'subscribe', ref, signal }                a named signal
+ *   { op: 'unsubscribe', ref, sub }
+ *
+ * The optional ref is echoed back so the client can match up the answers:
+ *
+ *   { op: 'subscribed', ref, sub, signal, slot, id, address, length }
+ *   { op: 'unsubscribed', ref, sub }
+ *   { op: 'error', ref, error: { name, message, ... } }
+ *
+ * and each change of value arrives as:
+ *
+ *   { op: 'update', sub, time, value, raw }
+ *
+ * where time is when the notification arrived (milliseconds since the
+ * epoch), value is the decoded value (or the raw bytes as an array when
+ * there is no type) and raw is the bytes as a hex string.
+ *
+ * Locations and the signals in options.signals are served by dongle
+ * watchers, allocated with Dongle.addWatch(); clients watching the same
+ * location share a slot.  The signals in options.superwatch are the named
+ * members of the super watcher, which is set up when the first client
+ * subscribes to one of them.  When the last subscriber to a location (or
+ * to the super watcher) leaves, its slot is freed on the dongle.
+ *
+ *   let stream = new WatchStream(dongle, {
+ *     server: restServer.server,
+ *     signals: {
+ *       throttle: { id: 1, address: 0x0300, type: { width: 2 } },
+ *     },
+ *     superwatch: {
+ *       id: 1,
+ *       members: [ { address: 0x0038, name: 'faultCode' } ],
+ *     },
+ *   });
+ *
+ *   await stream.listen();
+ *
+ * Events:
+ *
+ * listening:
+ * Emitted when the endpoint is accepting connections.
+ *
+ * connection:
+ * Emitted (socket, req) when a client connects.
+ *
+ * error:
+ * Emitted (err) when the server fails.
+ *
+ */
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+const WebSocket = require('ws');
+
+const { describeError } = require('./errors');
+
+const DataType = require('./DataType');
+
+const DEFAULT_PORT = 8081;
+
+
+// Converts the arguments of a watcher callback into { value, raw }
+function watchedValue(args) {
+
+  // (raw, slot) without a type, (value, slot, raw) with one
+  let raw = (args.length > 2) ? args[2] : args[0];
+  let value = (args.length > 2) ? args[0] : Array.from(raw);
+
+  return { value: value, raw: raw.toString('hex') };
+}
+
+
+module.exports = class WatchStream extends EventEmitter {
+
+  /**
+   * Constructor
+   *
+   * @param      {Dongle}  dongle   The connected dongle
+   * @param      {Object}  options  The options (see below)
+   */
+  constructor(dongle, options) {
+
+    super();
+
+    this.dongle = dongle;
+
+    this.options = Object.assign({
+
+      // an http.Server to share (for example RestServer.server); if not
+      // given, we listen on our own port
+      server: null,
+
+      port: DEFAULT_PORT,
+
+      // only local tools can connect unless told otherwise
+      host: '127.0.0.1',
+
+      // the URL path of the endpoint
+      path: '/stream',
+
+      // named locations: { name: { id, address, length or type } }
+      signals: {},
+
+      // the super watcher: { id, members: [ { address, name, type } ] }
+      superwatch: null,
+
+    }, options);
+
+    this.wss = null;
+
+    // the next subscription number
+    this.nextSub = 1;
+
+    // the super watcher subscriptions, and the last notification
+    this.superSubscribers = [];
+    this.superLast = null;
+    this.superReady = null;
+  }
+
+  /**
+   * Starts accepting connections
+   *
+   * @return     {Promise}  resolves once listening
+   */
+  listen() {
+
+    let me = this;
+
+    return new Promise(function(resolve, reject) {
+
+      let options = { path: me.options.path };
+
+      if (me.options.server) {
+        options.server = me.options.server;
+      } else {
+        options.port = me.options.port;
+        options.host = me.options.host;
+      }
+
+      me.wss = new WebSocket.Server(options);
+
+      me.wss.on('connection', me.onConnection.bind(me));
+
+      let onListening = function() {
+        me.wss.removeListener('error', reject);
+        me.wss.on('error', me.emit.bind(me, 'error'));
+
+        me.emit('listening');
+        resolve();
+      };
+
+      if (me.options.server) {
+        onListening();
+      } else {
+        me.wss.once('error', reject);
+        me.wss.once('listening', onListening);
+      }
+    });
+  }
+
+  /**
+   * Disconnects the clients, frees their slots and stops listening
+   *
+   * @return     {Promise}  resolves when the slots are freed
+   */
+  close() {
+
+    let me = this;
+
+    if (!me.wss) {
+      return Promise.resolve();
+    }
+
+    let wss = me.wss;
+    me.wss = null;
+
+    let clients = Array.from(wss.clients);
+
+    clients.forEach((socket) => socket.terminate());
+
+    return Promise.all(clients.map((socket) => me.release(socket)))
+    .then(() => new Promise((resolve) => wss.close(() => resolve())));
+  }
+
+  // Handles a new client
+  onConnection(socket, req) {
+
+    let me = this;
+
+    // the client's subscriptions, by number
+    socket.subscriptions = {};
+
+    socket.on('message', (text) => {
+
+      let message;
+
+      try {
+        message = JSON.parse(text);
+      } catch (err) {
+        me.send(socket, { op: 'error', error: { name: 'Error', message: 'Message is not valid JSON' } });
+        return;
+      }
+
+      if (!message || 'object' !== typeof(message)) {
+        message = {};
+      }
+
+      // anything the request throws is answered as an error, rather than
+      // taking the server down
+      Promise.resolve()
+      .then(() => me.onMessage(socket, message))
+      .then((reply) => me.send(socket, Object.assign({ ref: message.ref }, reply)))
+      .catch((err) => me.send(socket, { op: 'error', ref: message.ref, error: describeError(err) }));
+    });
+
+    socket.on('close', () => {
+      me.release(socket)
+      .catch((err) => me.emit('error', err));
+    });
+
+    // a client vanishing is not our problem
+    socket.on('error', function() {});
+
+    me.emit('connection', socket, req);
+  }
+
+  // Carries out a client request; resolves with the reply
+  onMessage(socket, message) {
+
+    switch (message.op) {
+      case 'subscribe':
+        return this.subscribe(socket, message);
+
+      case 'unsubscribe':
+        return this.unsubscribe(socket, message.sub);
+
+      default:
+        return Promise.reject(new Error('Unknown op: ' + message.op));
+    }
+  }
+
+  // Sends a message, if the client is still there
+  send(socket, message) {
+
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  // Sends an update for a subscription
+  update(socket, sub, value) {
+
+    this.send(socket, Object.assign({ op: 'update', sub: sub, time: Date.now() }, value));
+  }
+
+  // Sets up a subscription; resolves with the 'subscribed' reply
+  subscribe(socket, message) {
+
+    let location;
+
+    if (undefined !== message.signal) {
+
+      if (this.isSuperSignal(message.signal)) {
+        return this.subscribeSuper(socket, message.signal);
+      }
+
+      location = this.options.signals[message.signal];
+
+      if (!location) {
+        return Promise.reject(new Error('Unknown signal: ' + message.signal));
+      }
+
+    } else {
+
+      if (!Number.isInteger(message.id) || !Number.isInteger(message.address)) {
+        return Promise.reject(new Error('Expected a signal, or an id and address'));
+      }
+
+      location = message;
+    }
+
+    return this.subscribeLocation(socket, message.signal, location);
+  }
+
+  // Subscribes to a location through a dongle watcher
+  subscribeLocation(socket, signal, location) {
+
+    let me = this;
+    let length = location.length || 1;
+
+    // check what the client asked for before it goes near the dongle
+    try {
+      if (undefined !== location.type) {
+
+        if (!DataType.isDescriptor(location.type)) {
+          throw new Error('Expected type to be a data type descriptor');
+        }
+
+        length = DataType.from(location.type);
+
+      } else if (!Number.isInteger(length) || length < 1) {
+        throw new Error('Expected length to be a positive integer');
+      }
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    let sub = me.nextSub++;
+
+    // values that arrive before the client has the subscription number are
+    // held back, and the latest one is sent after the reply unless a newer
+    // one has gone out by then
+    let subscribed = false;
+    let latest = null;
+    let sent = false;
+
+    return me.dongle.addWatch(location.id, location.address, length,
+      function() {
+        latest = watchedValue(arguments);
+
+        if (subscribed) {
+          me.update(socket, sub, latest);
+          sent = true;
+        }
+      })
+    .then((handle) => {
+
+      // the client may have gone while we were setting up
+      if (socket.readyState !== WebSocket.OPEN) {
+        return handle.close().then(() => null);
+      }
+
+      socket.subscriptions[sub] = handle;
+      subscribed = true;
+
+      setImmediate(() => {
+        if (latest && !sent && socket.subscriptions[sub] === handle) {
+          me.update(socket, sub, latest);
+        }
+      });
+
+      return {
+        op: 'subscribed',
+        sub: sub,
+        signal: signal,
+        slot: handle.slot,
+        id: handle.id,
+        address: handle.address,
+        length: handle.length,
+      };
+    });
+  }
+
+  // Tells whether a signal is a super watcher member
+  isSuperSignal(signal) {
+
+    let superwatch = this.options.superwatch;
+
+    return !!superwatch && superwatch.members.some((member) => member.name === signal);
+  }
+
+  // Subscribes to a super watcher member, setting up the super watcher if
+  // nobody else is using it
+  subscribeSuper(socket, signal) {
+
+    let me = this;
+    let superwatch = me.options.superwatch;
+    let member = superwatch.members.find((member) => member.name === signal);
+    let sub = me.nextSub++;
+
+    let subscriber = { socket: socket, sub: sub, signal: signal, subscribed: false, sent: false };
+
+    if (!me.superReady) {
+
+      me.superLast = null;
+
+      me.superReady = me.dongle.superwatch(superwatch.id, superwatch.members, me.onSuperwatch.bind(me))
+      .catch((err) => {
+        me.superReady = null;
+        throw err;
+      });
+    }
+
+    // counts as a user of the super watcher while it is set up
+    me.superSubscribers.push(subscriber);
+
+    return me.superReady
+    .then(() => {
+
+      // the client may have gone while we were setting up
+      if (socket.readyState !== WebSocket.OPEN) {
+        return me.unsubscribeSuper(subscriber).then(() => null);
+      }
+
+      let handle = {
+        close: () => me.unsubscribeSuper(subscriber),
+      };
+
+      socket.subscriptions[sub] = handle;
+      subscriber.subscribed = true;
+
+      // bring the new subscriber up to date, after the reply
+      setImmediate(() => {
+        let last = me.superLast && me.superLast[signal];
+
+        if (last && !subscriber.sent && socket.subscriptions[sub] === handle) {
+          me.update(socket, sub, { value: last.value, raw: last.raw });
+        }
+      });
+
+      return {
+        op: 'subscribed',
+        sub: sub,
+        signal: signal,
+        slot: 0xFF,
+        id: superwatch.id,
+        address: member.address,
+        length: 1,
+      };
+    })
+    .catch((err) => {
+      me.superSubscribers = me.superSubscribers.filter((s) => s !== subscriber);
+      throw err;
+    });
+  }
+
+  // Passes a super watcher notification to its subscribers
+  onSuperwatch(members, slot, raw) {
+
+    let me = this;
+    let values = {};
+
+    me.options.superwatch.members.forEach((member, index) => {
+      if (undefined !== member.name && members[member.name]) {
+        values[member.name] = {
+          value: members[member.name].value,
+          raw: raw.slice(index, index + 1).toString('hex'),
+          changed: members[member.name].changed,
+        };
+      }
+    });
+
+    me.superLast = values;
+
+    me.superSubscribers.forEach((subscriber) => {
+
+      let value = values[subscriber.signal];
+
+      if (subscriber.subscribed && value && value.changed) {
+        me.update(subscriber.socket, subscriber.sub, { value: value.value, raw: value.raw });
+        subscriber.sent = true;
+      }
+    });
+  }
+
+  // Removes a super watcher subscription, and stops the super watcher if
+  // it was the last one
+  unsubscribeSuper(subscriber) {
+
+    this.superSubscribers = this.superSubscribers.filter((s) => s !== subscriber);
+
+    if (this.superSubscribers.length > 0 || !this.superReady) {
+      return Promise.resolve();
+    }
+
+    this.superReady = null;
+    this.superLast = null;
+
+    return this.dongle.clearSuperWatcher();
+  }
+
+  // Ends a subscription; resolves with the 'unsubscribed' reply
+  unsubscribe(socket, sub) {
+
+    let handle = socket.subscriptions[sub];
+
+    if (!handle) {
+      return Promise.reject(new Error('Unknown subscription: ' + sub));
+    }
+
+    delete socket.subscriptions[sub];
+
+    return handle.close()
+    .then(() => ({ op: 'unsubscribed', sub: sub }));
+  }
+
+  // Ends all of a client's subscriptions
+  release(socket) {
+
+    let handles = Object.keys(socket.subscriptions).map((sub) => socket.subscriptions[sub]);
+
+    socket.subscriptions = {};
+
+    return Promise.all(handles.map((handle) => handle.close()));
+  }
+};
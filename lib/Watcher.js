@@ -1,3 +1,14 @@
+const DataType = require('./DataType');
+
+/**
+ * Describes a location to be watched by the dongle
+ *
+ * Pass null as the slot to have Dongle.setWatchers() pick a free one.
+ *
+ * The length may be replaced by a data type descriptor (see DataType); the
+ * watch then covers the width of the type, and the callback receives
+ * (value, slot, raw) with the decoded value instead of (raw, slot).
+ */
 module.exports = class Watcher {
 
   constructor(slot, id, address, length, cb) {
@@ -12,9 +23,43 @@ module.exports = class Watcher {
     this.id = id;
     this.address = address;
 
+    this.type = null;
+
+    if (DataType.isDescriptor(length)) {
+      this.type = DataType.from(length);
+      length = this.type.width;
+    }
 
     this.length = length;
     this.cb = cb;
 
   }
+
+  /**
+   * Passes a notification to the callback, decoding it if there is a type
+   *
+   * A notification too short to decode is not passed on; the error is
+   * returned instead, since this runs in the BLE data handler where a throw
+   * would not be caught.
+   *
+   * @param      {Buffer}  data    The notification
+   * @param      {number}  slot    The slot it arrived on
+   * @return     {Error}   null, or the reason the notification was not passed on
+   */
+  notify(data, slot) {
+
+    if (this.type) {
+
+      if (data.length < this.type.width) {
+        return new RangeError('Watcher notification of ' + data.length +
+          ' bytes is shorter than its data type (' + this.type.width + ' bytes)');
+      }
+
+      this.cb(this.type.decode(data), slot, data);
+    } else {
+      this.cb(data, slot);
+    }
+
+    return null;
+  }
 };
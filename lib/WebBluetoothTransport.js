@@ -0,0 +1,237 @@
+/**
+ * BLE transport (see BleTransport) for Web Bluetooth, so the Dongle and
+ * MotorController classes can be used in a browser
+ *
+ * Use WebBluetoothTransport.request() to have the user pick a dongle, then
+ * pass the transport to the Dongle constructor.  request() must be called
+ * from a user gesture (such as a click handler), as the browser requires.
+ *
+ * Web Bluetooth names UUIDs in full ('0000180a-0000-1000-8000-00805f9b34fb');
+ * they are converted to and from the form the Dongle uses ('180a').
+ *
+ */
+
+const BleTransport = require('./BleTransport');
+
+const { serviceId } = require('./Dongle');
+
+// Services the Dongle uses besides the one it advertises: the transparent
+// UART service and the device information service
+const OPTIONAL_SERVICES = [
+  '49535343fe7d4ae58fa99fafd205e455',
+  '180a',
+];
+
+// Browsers refuse to read the serial number string characteristic (it is
+// on the Web Bluetooth blocklist); reads of it return an empty value
+const BLOCKED_READS = [
+  '2a25',
+];
+
+// The Bluetooth base UUID, which 16 bit UUIDs are abbreviations of
+const BASE_UUID_PREFIX = '0000';
+const BASE_UUID_SUFFIX = '00001000800000805f9b34fb';
+
+
+// Converts a UUID from our form into the one Web Bluetooth expects
+function toWebUuid(uuid) {
+
+  uuid = uuid.toLowerCase().replace(/-/g, '');
+
+  if (uuid.length === 4) {
+    uuid = BASE_UUID_PREFIX + uuid + BASE_UUID_SUFFIX;
+  }
+
+  return uuid.slice(0, 8) + '-' + uuid.slice(8, 12) + '-' + uuid.slice(12, 16) + '-' +
+    uuid.slice(16, 20) + '-' + uuid.slice(20);
+}
+
+// Converts a Web Bluetooth UUID into the form the Dongle uses
+function fromWebUuid(uuid) {
+
+  uuid = uuid.toLowerCase().replace(/-/g, '');
+
+  if (uuid.startsWith(BASE_UUID_PREFIX) && uuid.endsWith(BASE_UUID_SUFFIX)) {
+    uuid = uuid.slice(4, 8);
+  }
+
+  return uuid;
+}
+
+// Copies a DataView (as Web Bluetooth returns values) into a Buffer
+function toBuffer(view) {
+  return Buffer.from(new Uint8Array(view.buffer, view.byteOffset, view.byteLength));
+}
+
+
+module.exports = class WebBluetoothTransport extends BleTransport {
+
+  /**
+   * Asks the user to choose a dongle
+   *
+   * @param      {Object}   options  { bluetooth: navigator.bluetooth (default), namePrefix }
+   * @return     {Promise}  resolves with a WebBluetoothTransport for the chosen device
+   */
+  static request(options) {
+
+    options = options || {};
+
+    let bluetooth = options.bluetooth || (('undefined' !== typeof(navigator)) ? navigator.bluetooth : null);
+
+    if (!bluetooth) {
+      return Promise.reject(new Error('Web Bluetooth is not available'));
+    }
+
+    let filter = { services: [toWebUuid(serviceId)] };
+
+    if (options.namePrefix) {
+      filter.namePrefix = options.namePrefix;
+    }
+
+    return bluetooth.requestDevice({
+      filters: [filter],
+      optionalServices: OPTIONAL_SERVICES.map(toWebUuid),
+    })
+    .then((device) => new WebBluetoothTransport(device));
+  }
+
+  /**
+   * Constructor
+   *
+   * @param      {BluetoothDevice}  device  The device chosen by the user
+   */
+  constructor(device) {
+
+    super();
+
+    this.device = device;
+
+    // browsers don't reveal the MAC address; this is an opaque ID instead
+    this.address = device.id;
+
+    this.server = null;
+
+    // GATT operations are run one at a time, since browsers reject an
+    // operation started while another is in progress
+    this.queue = Promise.resolve();
+
+    device.addEventListener('gattserverdisconnected', () => {
+      this.server = null;
+      this.emit('disconnect');
+    });
+  }
+
+  // Runs a GATT operation after the ones already queued
+  enqueue(operation) {
+
+    let result = this.queue.then(operation);
+
+    // the next operation waits for this one, whether or not it fails
+    this.queue = result.catch(() => {});
+
+    return result;
+  }
+
+  isConnected() {
+    return !!this.device.gatt && this.device.gatt.connected;
+  }
+
+  connect() {
+
+    return this.device.gatt.connect()
+    .then((server) => {
+      this.server = server;
+      this.emit('connect');
+    });
+  }
+
+  disconnect() {
+
+    if (this.device.gatt.connected) {
+      this.device.gatt.disconnect();
+    }
+
+    return Promise.resolve();
+  }
+
+  discover(serviceUuids) {
+
+    let found = { services: [], characteristics: [] };
+
+    // services the device doesn't have are left out, as noble does
+    let lookups = serviceUuids.map((uuid) => this.enqueue(() =>
+      this.server.getPrimaryService(toWebUuid(uuid))
+      .then((service) => service.getCharacteristics()
+        .then((characteristics) => {
+
+          found.services.push({ uuid: fromWebUuid(service.uuid), service: service });
+
+          characteristics.forEach((characteristic) => {
+            found.characteristics.push({
+              uuid: fromWebUuid(characteristic.uuid),
+              characteristic: characteristic,
+              listeners: [],
+            });
+          });
+        }))
+      .catch((err) => {
+        if ('NotFoundError' !== err.name) {
+          throw err;
+        }
+      })));
+
+    return Promise.all(lookups).then(() => found);
+  }
+
+  read(handle) {
+
+    return this.enqueue(() => handle.characteristic.readValue())
+    .then(toBuffer)
+    .catch((err) => {
+      if ('SecurityError' === err.name && BLOCKED_READS.indexOf(handle.uuid) >= 0) {
+        return Buffer.alloc(0);
+      }
+      throw err;
+    });
+  }
+
+  write(handle, data) {
+
+    let characteristic = handle.characteristic;
+
+    return this.enqueue(() => (characteristic.writeValueWithResponse) ?
+      characteristic.writeValueWithResponse(data) :
+      characteristic.writeValue(data));
+  }
+
+  subscribe(handle) {
+    return this.enqueue(() => handle.characteristic.startNotifications())
+    .then(() => undefined);
+  }
+
+  unsubscribe(handle) {
+    return this.enqueue(() => handle.characteristic.stopNotifications())
+    .then(() => undefined);
+  }
+
+  addNotificationListener(handle, fn) {
+
+    let listener = (event) => fn(toBuffer(event.target.value));
+
+    handle.listeners.push({ fn: fn, listener: listener });
+    handle.characteristic.addEventListener('characteristicvaluechanged', listener);
+  }
+
+  removeNotificationListener(handle, fn) {
+
+    handle.listeners = handle.listeners.filter((entry) => {
+
+      if (entry.fn === fn) {
+        handle.characteristic.removeEventListener('characteristicvaluechanged', entry.listener);
+        return false;
+      }
+
+      return true;
+    });
+  }
+};
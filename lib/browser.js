@@ -0,0 +1,29 @@
+/**
+ * Entry point of the browser bundle (npm run bundle)
+ *
+ * The bundle defines a global 'cs1816' holding these exports.  Connect with:
+ *
+ *   let transport = await cs1816.WebBluetoothTransport.request();
+ *   let dongle = new cs1816.Dongle(transport);
+ *
+ *   await dongle.connect();
+ */
+
+const { Dongle, serviceId } = require('./Dongle');
+
+/**
+ * Exports
+ *
+ * @ignore
+ */
+module.exports = {
+  Dongle: Dongle,
+  serviceId: serviceId,
+  MotorController: require('./MotorController'),
+  Watcher: require('./Watcher'),
+  SuperWatcher: require('./SuperWatcher'),
+  DataType: require('./DataType'),
+  BleTransport: require('./BleTransport'),
+  WebBluetoothTransport: require('./WebBluetoothTransport'),
+  errors: require('./errors'),
+};
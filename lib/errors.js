@@ -0,0 +1,235 @@
+/**
+ * Error types reported by the Dongle and MotorController classes
+ *
+ * All of them are DongleErrors, and say where the failure happened:
+ *
+ *   unit:    the MODBUS unit ID the request was sent to (254 for the dongle)
+ *   opcode:  the command ID for Dongle.command(), otherwise the MODBUS function code
+ *   address: the memory address or object ID, where the request has one
+ *
+ * Any of these is null when it doesn't apply.  Application code can branch
+ * on the type, for example:
+ *
+ *   .catch((err) => {
+ *     if (err instanceof TimeoutError) { ... retry ... }
+ *     else if (err instanceof ModbusExceptionError && err.code === 2) { ... bad address ... }
+ *   })
+ */
+
+// What the MODBUS exception codes mean
+const EXCEPTION_MEANINGS = {
+  0x01: 'Illegal Function',
+  0x02: 'Illegal Data Address',
+  0x03: 'Illegal Data Value',
+  0x04: 'Slave Device Failure',
+  0x05: 'Acknowledge',
+  0x06: 'Slave Device Busy',
+  0x07: 'Negative Acknowledge',
+  0x08: 'Memory Parity Error',
+  0x0A: 'Gateway Path Unavailable',
+  0x0B: 'Gateway Target Device Failed To Respond',
+  0x80: 'Verify Error',
+};
+
+
+// returns a hex string with prepended zeros to the requested length
+function hex(number, length) {
+  return '0x' + ('0000' + number.toString(16).toUpperCase()).slice(-length);
+}
+
+// Describes where a failure happened, for the end of an error message
+function describe(context) {
+
+  let parts = [];
+
+  if (null !== context.unit) {
+    parts.push('unit ' + context.unit);
+  }
+  if (null !== context.opcode) {
+    parts.push('opcode ' + hex(context.opcode, 2));
+  }
+  if (null !== context.address) {
+    parts.push('address ' + hex(context.address, 4));
+  }
+
+  return (parts.length > 0) ? ' (' + parts.join(', ') + ')' : '';
+}
+
+
+/**
+ * The base of all the errors below
+ */
+class DongleError extends Error {
+
+  /**
+   * Constructor
+   *
+   * @param      {string}  message  What went wrong
+   * @param      {Object}  context  { unit, opcode, address } (all optional)
+   */
+  constructor(message, context) {
+
+    context = {
+      unit: (context && undefined !== context.unit) ? context.unit : null,
+      opcode: (context && undefined !== context.opcode) ? context.opcode : null,
+      address: (context && undefined !== context.address) ? context.address : null,
+    };
+
+    super(message + describe(context));
+
+    this.name = 'DongleError';
+
+    this.unit = context.unit;
+    this.opcode = context.opcode;
+    this.address = context.address;
+  }
+}
+
+/**
+ * No response arrived in time
+ */
+class TimeoutError extends DongleError {
+
+  constructor(context, cause) {
+
+    super('No response', context);
+
+    this.name = 'TimeoutError';
+
+    // the error reported by the MODBUS master, if any
+    this.cause = cause || null;
+  }
+}
+
+/**
+ * The device answered with a MODBUS exception
+ */
+class ModbusExceptionError extends DongleError {
+
+  constructor(code, context) {
+
+    let meaning = EXCEPTION_MEANINGS[code] || 'Unknown Exception';
+
+    super('Exception ' + code + ': ' + meaning, context);
+
+    this.name = 'ModbusExceptionError';
+
+    // the exception code, and what it means
+    this.code = code;
+    this.meaning = meaning;
+  }
+}
+
+ModbusExceptionError.MEANINGS = EXCEPTION_MEANINGS;
+
+/**
+ * The device answered, but reported that the request failed
+ */
+class CommandStatusError extends DongleError {
+
+  constructor(status, context) {
+
+    super('Failed with status ' + status, context);
+
+    this.name = 'CommandStatusError';
+
+    // the (non-zero) status byte from the response
+    this.status = status;
+  }
+}
+
+/**
+ * The request can't be sent because there is no connection to the dongle
+ */
+class NotConnectedError extends DongleError {
+
+  constructor(context) {
+
+    super('Not connected', context);
+
+    this.name = 'NotConnectedError';
+  }
+}
+
+/**
+ * The peripheral isn't a dongle we know how to talk to
+ */
+class IncompatibleDeviceError extends DongleError {
+
+  /**
+   * Constructor
+   *
+   * @param      {string}  message  What is wrong with the device
+   * @param      {Array}   missing  Names of the expected characteristics that weren't found
+   */
+  constructor(message, missing) {
+
+    super(message);
+
+    this.name = 'IncompatibleDeviceError';
+
+    this.missing = missing || [];
+  }
+}
+
+/**
+ * Thrown when the connected dongle's firmware is too old for a request
+ */
+class UnsupportedFirmwareError extends DongleError {
+
+  constructor(capability, version, context) {
+
+    super('Not supported by firmware ' + version + ': ' + capability, context);
+
+    this.name = 'UnsupportedFirmwareError';
+
+    // the capability that is missing (see Dongle.supports)
+    this.capability = capability;
+
+    // the firmware (software revision) of the dongle
+    this.version = version;
+  }
+}
+
+/**
+ * Describes an error as a plain object, for sending as JSON
+ *
+ * Includes the name, the message and the fields of the error (unit,
+ * opcode, address, code...), but not the underlying cause.
+ *
+ * @param      {Error}   err     The error
+ * @return     {Object}  { name, message, ... }
+ */
+function describeError(err) {
+
+  let description = {
+    name: (err && err.name) || 'Error',
+    message: (err && err.message) || String(err),
+  };
+
+  if (err && 'object' === typeof(err)) {
+    Object.keys(err).forEach((key) => {
+      if ('cause' !== key) {
+        description[key] = err[key];
+      }
+    });
+  }
+
+  return description;
+}
+
+/**
+ * Exports
+ *
+ * @ignore
+ */
+module.exports = {
+  DongleError: DongleError,
+  TimeoutError: TimeoutError,
+  ModbusExceptionError: ModbusExceptionError,
+  CommandStatusError: CommandStatusError,
+  NotConnectedError: NotConnectedError,
+  IncompatibleDeviceError: IncompatibleDeviceError,
+  UnsupportedFirmwareError: UnsupportedFirmwareError,
+  describeError: describeError,
+};
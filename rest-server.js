@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Connects to a dongle and serves a JSON API for it over HTTP
+ *
+ * See lib/RestServer.js for the routes.  Tools on this machine can then
+ * drive the dongle without using Node.  Live values are pushed to WebSocket
+ * clients at /stream (see lib/WatchStream.js).
+ *
+ * Use -h option for help
+ *
+ */
+
+// Include the BLE package to interface to bluetooth hardware
+// The noble library throws an exception if there is no compatible bluetooth adapter found.
+// this is a workaround as suggested by https://github.com/sandeepmistry/noble/issues/570
+var ble;
+try {
+  ble = require('@abandonware/noble');
+} catch (err) {
+
+  console.error('Not compatible with this BLE hardware', err);
+  process.exit(1);
+  ble = {
+    on: (function() {}),
+    once: (function() {})
+  };
+}
+
+// An object type that represents the remote (periperal) Bluetooth device
+const { Dongle } = require('./lib/Dongle');
+
+// Finds the dongle to use
+const DongleScanner = require('./lib/DongleScanner');
+
+// The command line options shared with the other scripts
+const CommandLine = require('./lib/CommandLine');
+
+// The HTTP server
+const RestServer = require('./lib/RestServer');
+
+// The WebSocket endpoint for watched values
+const WatchStream = require('./lib/WatchStream');
+
+// command-line options will be available in the args variable
+let args = require('minimist')(process.argv.slice(2));
+
+// For pretty printing
+const chalk = require('chalk');
+const error = chalk.bold.red;
+const label = chalk.blue;
+
+
+if (args.h || args.help) {
+
+  console.info('\r-------- CS1816 ----------');
+  console.info('REST Server Version ' + require('./package.json').version + '\r');
+  console.info('\rCommand format:\r');
+  console.info(require('path').basename(__filename, '.js') +
+    ' <options> \r');
+
+  console.info(chalk.underline('\rOptions\r'));
+  console.info('    -h           This help output\r');
+  console.info('    -v           Show each request\r');
+  console.info('    --mac        MAC address of the dongle to use (default: the first one found)\r');
+  console.info('    --name       Use a dongle whose name contains this\r');
+  console.info('    --rssi       Ignore dongles weaker than this (dBm, eg --rssi=-70)\r');
+  console.info('    --choose     List the dongles found, and choose one\r');
+  console.info('    --scantime   How long to scan for, in ms (default: 5000)\r');
+  console.info('    --port       HTTP port to listen on (default: 8080)\r');
+  console.info('    --host       Address to listen on (default: 127.0.0.1)\r');
+  console.info('    --signals    JSON file naming the signals for /stream ({ signals, superwatch })\r');
+  console.info('    --mode       Operating mode [i2c|can|boot]\r');
+  console.info(chalk.bold('For --mode=can'));
+  console.info('    --canrate    Bus speed [250000|500000|1000000]\r');
+  console.info('    --myid       Our node ID on the bus [1-254]\r');
+
+  process.exit(0);
+}
+
+let dongleConfig = CommandLine.dongleConfig(args);
+
+
+// Connect to the dongle and start the server
+async function start(dongle) {
+
+  await dongle.connect();
+
+  let info = await dongle.readDongleInfo();
+
+  console.log(label('Connected to'), info.modelNumber, label('Serial Number:'), info.serialNumber);
+
+  await dongle.configure(dongleConfig);
+
+  let server = new RestServer(dongle, {
+    port: args.port || 8080,
+    host: args.host || '127.0.0.1',
+  });
+
+  if (args.v) {
+    server.on('request', (method, path) => {
+      console.log(label('Request:'), method, path);
+    });
+  }
+
+  server.on('error', (err) => {
+    console.error(error(err.message));
+  });
+
+  let address = await server.listen();
+
+  let streamOptions = (args.signals) ?
+    JSON.parse(require('fs').readFileSync(args.signals, 'utf8')) : {};
+
+  let stream = new WatchStream(dongle, Object.assign({ server: server.server }, streamOptions));
+
+  stream.on('connection', (socket, req) => {
+    console.log(label('Stream client connected:'), req.socket.remoteAddress);
+  });
+
+  stream.on('error', (err) => {
+    console.error(error(err.message));
+  });
+
+  await stream.listen();
+
+  console.log(label('Listening on http://' + address.address + ':' + address.port));
+}
+
+
+// Look for the dongle we were asked for
+let scanner = new DongleScanner(ble, CommandLine.scannerOptions(args));
+
+scanner.on('scanStart', () => console.log(label('Scanning...')));
+
+scanner.select()
+.then((candidate) => {
+
+  console.log(label('Found ') + DongleScanner.describe(candidate));
+
+  // Keep the link up for as long as the server runs
+  let dongle = new Dongle(candidate.peripheral, {
+    verbose: false,
+    autoReconnect: true,
+  });
+
+  dongle.on('disconnect', () => console.log(error('Dongle disconnected')));
+  dongle.on('reconnect', () => console.log(label('Dongle reconnected')));
+  dongle.on('reconnectFailed', () => {
+    console.error(error('Unable to reconnect to the dongle'));
+    process.exit(1);
+  });
+
+  return start(dongle)
+  .catch((err) => {
+    console.error(error('Error starting the server:'), err.message);
+    process.exit(1);
+  });
+})
+.catch((err) => {
+  console.error(error('Error finding the dongle:'), err.message);
+  process.exit(1);
+});
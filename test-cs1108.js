@@ -1,6 +1,10 @@
 /**
- * Scan for the first dongle found, and run a bunch of repetitive tests
- * on the CS1108 connected to it
+ * Find a dongle, and run a bunch of repetitive tests on the CS1108
+ * connected to it
+ *
+ * The first dongle found is used, unless one is picked with --mac, --name
+ * or --rssi (eg --rssi=-70); --choose lists them all to choose from, and
+ * --scantime sets how long to look (ms)
  *
  */
 
@@ -30,7 +34,13 @@ const CONTROLLER_ID = 1;
 var dongle;
 
 // An object type that represents the remote (periperal) Bluetooth device
-const { Dongle, serviceId } = require('./lib/Dongle');
+const { Dongle } = require('./lib/Dongle');
+
+// Finds the dongle to test
+const DongleScanner = require('./lib/DongleScanner');
+
+// The command line options shared with the other scripts
+const CommandLine = require('./lib/CommandLine');
 
 // An object type that represents a single motor controller device
 const MotorController = require('./lib/MotorController');
@@ -38,6 +48,9 @@ const MotorController = require('./lib/MotorController');
 // An object type that represents a watcher
 const Watcher = require('./lib/Watcher');
 
+// command-line options will be available in the args variable
+let args = require('minimist')(process.argv.slice(2));
+
 // For pretty printing
 const chalk = require('chalk');
 const error = chalk.bold.red;
@@ -165,6 +178,13 @@ async function Cs1108MemoryTest() {
   printData(0x300, data1);
   printData(0x380, data2);
 
+  console.log(label('Reading EEPROM in one call (split automatically)... '));
+  console.time('Read Controller EEPROM');
+  data1 = await mc.readMemory(0x0300, 256);
+  console.timeEnd('Read Controller EEPROM');
+
+  printData(0x300, data1);
+
 
   console.time('Read RAM consecutive');
   let mem1 = [];
@@ -361,95 +381,82 @@ async function clearAllWatchersInOneGo() {
   await dongle.clearWatchers(watchers);
 }
 
-// Wait for the bluetooth hardware to become ready
-ble.once('stateChange', function(state) {
+// Look for the dongle we were asked for
+let scanner = new DongleScanner(ble, CommandLine.scannerOptions(args));
 
-  if (state === 'poweredOff') {
-    console.error(error('Bluetooth must be turned on before you run this example'));
-    process.exit(1);
-  } else if (state === 'poweredOn') {
+scanner.on('scanStart', () => console.log(label('Scanning...')));
+scanner.on('scanStop', () => console.log(label('Stopped Scanning')));
 
-    // Catch any 'discover' events which are emitted when a new dongle is detected
-    ble.on('discover', function(peripheral) {
+scanner.select()
+.then((candidate) => {
 
-      // stop after the first found
-      ble.stopScanning();
+  console.log(label('Found ') + DongleScanner.describe(candidate));
 
-      console.log(label('Found ') + peripheral.advertisement.localName, label('MAC: ') + peripheral.address);
+  console.log(label('Connecting... '));
 
-      console.log(label('Connecting... '));
-
-      // Create an object to manage the discovered peripheral
-      dongle = new Dongle(peripheral, {
-        verbose: true,
-      });
+  // Create an object to manage the discovered peripheral
+  // Reads made within 5ms of each other are merged where possible
+  dongle = new Dongle(candidate.peripheral, {
+    verbose: true,
+    readCoalesceWindow: 5,
+  });
 
 
-      dongle.on('status', function(slot, status) {
-        console.log('STATUS: ', slot, status);
-      });
+  dongle.on('status', function(slot, status) {
+    console.log('STATUS: ', slot, status);
+  });
 
-      dongle.connect()
-      .then(() => dongle.readDongleInfo())
+  dongle.connect()
+  .then(() => dongle.readDongleInfo())
 
-      .then(info => {
-        console.log(label('Connected.'));
+  .then(info => {
+    console.log(label('Connected.'));
 
-        // The model number of the dongle determines what it is capable of
-        // We only deal with one dongle model so far
-        if ('CS1816' === info.modelNumber) {
+    // The model number of the dongle determines what it is capable of
+    // We only deal with one dongle model so far
+    if ('CS1816' === info.modelNumber) {
 
-          // Send configuration to the dongle
-          console.log(label('Configuring... '));
-          dongle.configure()
+      // Send configuration to the dongle
+      console.log(label('Configuring... '));
+      dongle.configure()
 
-            //          .then(() => setCs1108Watchers())
+        //          .then(() => setCs1108Watchers())
 
 
-            // .then(() => Cs1108MemoryTest())
+        // .then(() => Cs1108MemoryTest())
 
-            //.then(() => testReadControllerMemory())
+        //.then(() => testReadControllerMemory())
 
-            // .then(() => clearAllCs1108Watchers())
+        // .then(() => clearAllCs1108Watchers())
 
-          .then(() => setAllWatchersInOneGo())
+      .then(() => setAllWatchersInOneGo())
 
-          // .then(() => clearAllWatchersInOneGo())
+      // .then(() => clearAllWatchersInOneGo())
 
 
-          // .then(() => {
-          //   console.log(label('Success!'));
-          //   process.exit(0);
-          // })
+      // .then(() => {
+      //   console.log(label('Success!'));
+      //   process.exit(0);
+      // })
 
-          .catch((err) => {
-            console.error(error('Error communicating with the dongle'), err);
-            dongle.disconnect();
-            process.exit(1);
-          })
-        } else {
-          console.error(error('Unknown Dongle Model: '), info.modelNumber);
-          dongle.disconnect();
-          process.exit(3);
-        }
+      .catch((err) => {
+        console.error(error('Error communicating with the dongle'), err);
+        dongle.disconnect();
+        process.exit(1);
       })
+    } else {
+      console.error(error('Unknown Dongle Model: '), info.modelNumber);
+      dongle.disconnect();
+      process.exit(3);
+    }
+  })
 
-      .catch(err => {
-        console.error(error('Error connecting to the dongle:'), err);
-        process.exit(2);
-      });
-    });
-
-    // Capture the event that is emitted when bluetooth goes into scanning mode
-    ble.on('scanStart', () => console.log(label('Scanning...')));
-
-    // Capture the event emitted when scan mode ends
-    ble.on('scanStop', () => console.log(label('Stopped Scanning')));
-
-    // Last, put the bluetooth hardware into scan mode - which will cause
-    // 'discover' events for each detected dongle.
-    ble.startScanning([serviceId]);
-
-  }
-
+  .catch(err => {
+    console.error(error('Error connecting to the dongle:'), err);
+    process.exit(2);
+  });
+})
+.catch((err) => {
+  console.error(error('Error finding the dongle:'), err.message);
+  process.exit(1);
 });
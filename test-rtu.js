@@ -0,0 +1,264 @@
+/**
+ * Checks the wired MODBUS RTU link without a controller
+ *
+ * Opens RtuConnection on one end of a pseudo-terminal pair and a
+ * SimulatedRtuSlave on the other, then runs reads, writes and the error
+ * cases over it.  Exits with 0 if every check passes.
+ *
+ * The pair is made with python3 (its pty module) unless two ports are
+ * given, for example a pair made with
+ *
+ *   socat -d -d pty,raw,echo=0 pty,raw,echo=0
+ *
+ *   node test-rtu.js /dev/pts/3 /dev/pts/4
+ *
+ * --verbose shows each request the slave receives
+ *
+ */
+
+const fs = require('fs');
+
+const tty = require('tty');
+
+const assert = require('assert');
+
+const { spawn } = require('child_process');
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+// A wired connection to a motor controller
+const RtuConnection = require('./lib/RtuConnection');
+
+// A simulated motor controller on a serial link
+const SimulatedRtuSlave = require('./lib/SimulatedRtuSlave');
+
+// An object type that represents a single motor controller device
+const MotorController = require('./lib/MotorController');
+
+// command-line options will be available in the args variable
+let args = require('minimist')(process.argv.slice(2));
+
+// For pretty printing
+const chalk = require('chalk');
+const error = chalk.bold.red;
+const label = chalk.blue;
+
+const CONTROLLER_ID = 1;
+
+// Copies bytes between two pseudo-terminals, after printing their names
+const RELAY = [
+  'import os, pty, tty, select',
+  'm1, s1 = pty.openpty(); m2, s2 = pty.openpty()',
+  'tty.setraw(s1); tty.setraw(s2)',
+  'print(os.ttyname(s1), os.ttyname(s2), flush=True)',
+  'while True:',
+  '    for fd in select.select([m1, m2], [], [])[0]:',
+  '        os.write(m2 if fd == m1 else m1, os.read(fd, 4096))',
+].join('\n');
+
+
+// Just enough of a serialport SerialPort to drive a pseudo-terminal
+class TtyPort extends EventEmitter {
+
+  constructor(path) {
+    super();
+
+    this.path = path;
+    this.isOpen = false;
+  }
+
+  open(cb) {
+
+    try {
+      this.fd = fs.openSync(this.path, 'r+');
+    } catch (err) {
+      setImmediate(() => cb && cb(err));
+      return;
+    }
+
+    this.stream = new tty.ReadStream(this.fd);
+    this.stream.setRawMode(true);
+    this.stream.on('data', (data) => this.emit('data', data));
+
+    this.isOpen = true;
+
+    setImmediate(() => {
+      this.emit('open');
+      if (cb) {
+        cb();
+      }
+    });
+  }
+
+  write(data, cb) {
+
+    fs.writeSync(this.fd, data);
+
+    if ('function' === typeof(cb)) {
+      setImmediate(cb);
+    }
+
+    return true;
+  }
+
+  close(cb) {
+
+    this.stream.destroy();
+    this.isOpen = false;
+
+    setImmediate(() => {
+      this.emit('close');
+      if (cb) {
+        cb();
+      }
+    });
+  }
+}
+
+
+// Makes a pseudo-terminal pair; resolves with { paths, relay }
+function makePair() {
+
+  if (args._.length >= 2) {
+    return Promise.resolve({ paths: args._.slice(0, 2).map(String), relay: null });
+  }
+
+  return new Promise(function(resolve, reject) {
+
+    let relay = spawn('python3', ['-c', RELAY], { stdio: ['ignore', 'pipe', 'inherit'] });
+    let output = '';
+
+    relay.on('error', (err) => reject(new Error('Unable to run python3 to make the pty pair: ' + err.message)));
+
+    relay.stdout.on('data', (data) => {
+
+      output += data.toString();
+
+      if (output.indexOf('\n') >= 0) {
+        resolve({ paths: output.trim().split(' '), relay: relay });
+      }
+    });
+  });
+}
+
+
+// Resolves with the error a promise rejects with; fails if it resolves
+function rejection(promise) {
+
+  return promise.then(
+    () => { throw new assert.AssertionError({ message: 'Expected the request to fail' }); },
+    (err) => err);
+}
+
+
+let checks = [
+
+  ['reads memory', async (t) => {
+    t.slave.device.set('faultCode', 7);
+    assert.deepStrictEqual(await t.controller.readMemory(0x38, 1), Buffer.from([7]));
+  }],
+
+  ['writes and verifies memory', async (t) => {
+    let data = Buffer.from([1, 2, 3, 4]);
+
+    await t.controller.writeMemoryVerify(0x0300, data);
+    assert.deepStrictEqual(await t.controller.readMemory(0x0300, 4), data);
+  }],
+
+  ['reports the slave ID', async (t) => {
+    let id = await t.connection.reportSlaveId(CONTROLLER_ID);
+    assert.strictEqual(id.product, 8);
+  }],
+
+  ['answers a bad address with exception 2', async (t) => {
+    let err = await rejection(t.controller.readMemory(0x1000, 1));
+    assert.strictEqual(err.name, 'ModbusExceptionError');
+    assert.strictEqual(err.code, 2);
+  }],
+
+  ['answers a command with exception 1', async (t) => {
+    let err = await rejection(t.connection.command(CONTROLLER_ID, 2, Buffer.from([0])));
+    assert.strictEqual(err.name, 'ModbusExceptionError');
+    assert.strictEqual(err.code, 1);
+  }],
+
+  ['times out on another unit', async (t) => {
+    let err = await rejection(t.connection.readMemory(CONTROLLER_ID + 1, 0, 1));
+    assert.strictEqual(err.name, 'TimeoutError');
+  }],
+];
+
+
+async function run() {
+
+  let pair = await makePair();
+  let failed = 0;
+
+  console.log(label('Ports: '), pair.paths.join(' <-> '));
+
+  let slavePort = new TtyPort(pair.paths[1]);
+  let connection = new RtuConnection(new TtyPort(pair.paths[0]), { eofTimeout: 10 });
+
+  try {
+
+    await new Promise((resolve, reject) => slavePort.open((err) => err ? reject(err) : resolve()));
+
+    let slave = new SimulatedRtuSlave(slavePort, { unit: CONTROLLER_ID });
+
+    if (args.verbose) {
+      slave.on('request', (unit, pdu) => console.log(label('Request: '), unit, pdu));
+    }
+
+    await connection.open();
+
+    let t = {
+      connection: connection,
+      slave: slave,
+      controller: new MotorController(CONTROLLER_ID, connection),
+    };
+
+    for (let [name, check] of checks) {
+      try {
+        await check(t);
+        console.log(chalk.green('  ok  '), name);
+      } catch (err) {
+        failed++;
+        console.log(error('  FAIL'), name + ': ' + err.message);
+      }
+    }
+
+    slave.close();
+
+  } finally {
+
+    await connection.close().catch(() => {});
+
+    if (slavePort.isOpen) {
+      slavePort.close();
+    }
+
+    if (pair.relay) {
+      pair.relay.kill();
+    }
+  }
+
+  return failed;
+}
+
+
+run()
+.then((failed) => {
+
+  if (failed) {
+    console.error(error(failed + ' of ' + checks.length + ' checks failed'));
+  } else {
+    console.log(chalk.green('All ' + checks.length + ' checks passed'));
+  }
+
+  process.exit(failed ? 1 : 0);
+})
+.catch((err) => {
+  console.error(error(err.message));
+  process.exit(1);
+});
@@ -0,0 +1,180 @@
+/**
+ * Checks the simulated dongle, so the rest of the demo can be tried without
+ * bluetooth hardware
+ *
+ * Connects a Dongle to a SimulatedPeripheral and runs commands, watchers and
+ * memory requests through it, some of them to the simulated CS1108 behind
+ * it.  Exits with 0 if every check passes.
+ *
+ *   node test-simulator.js
+ *
+ * --verbose shows each request the simulated dongle receives
+ *
+ */
+
+const assert = require('assert');
+
+// An object type that represents the remote (periperal) Bluetooth device
+const { Dongle } = require('./lib/Dongle');
+
+// A simulated dongle, with a simulated CS1108 behind it
+const { SimulatedPeripheral } = require('./lib/SimulatedPeripheral');
+
+// A simulated motor controller
+const Cs1108Simulator = require('./lib/Cs1108Simulator');
+
+// An object type that represents a single motor controller device
+const MotorController = require('./lib/MotorController');
+
+// command-line options will be available in the args variable
+let args = require('minimist')(process.argv.slice(2));
+
+// For pretty printing
+const chalk = require('chalk');
+const error = chalk.bold.red;
+const label = chalk.blue;
+
+const CONTROLLER_ID = 1;
+
+// What the simulated CS1108 starts with, and says it is
+const EEPROM_IMAGE = Buffer.from(Array.from({ length: 256 }, (v, i) => (i * 7) & 0xFF));
+const IDENTITY = { product: 0x08, run: 0x02, version: '2.3.4' };
+
+
+// Watches a location; resolves with the first value the callback is given
+// that passes the test
+function watchFor(dongle, slot, address, length, test) {
+
+  let seen;
+
+  let values = new Promise((resolve) => {
+    seen = (value) => {
+      if (test(value)) {
+        resolve(value);
+      }
+    };
+  });
+
+  return dongle.watch(slot, CONTROLLER_ID, address, length, (value) => seen(value))
+  .then(() => values);
+}
+
+
+let checks = [
+
+  ['connects', async (t) => {
+    await t.dongle.connect();
+
+    assert.ok(t.dongle.isConnected());
+    assert.strictEqual(t.peripheral.state, 'connected');
+  }],
+
+  ['sends the keyswitch command', async (t) => {
+    await t.dongle.keyswitch(true);
+    assert.strictEqual(t.peripheral.keyswitchState, true);
+
+    await t.dongle.keyswitch(false);
+    assert.strictEqual(t.peripheral.keyswitchState, false);
+  }],
+
+  ['reads and writes memory', async (t) => {
+    let data = Buffer.from([0x11, 0x22, 0x33]);
+
+    await t.controller.writeMemory(0x0010, data);
+
+    assert.deepStrictEqual(await t.controller.readMemory(0x0010, 3), data);
+    assert.deepStrictEqual(t.peripheral.device(CONTROLLER_ID).readMemory(0x0010, 3), data);
+  }],
+
+  ['calls a watcher when its location changes', async (t) => {
+    let changed = watchFor(t.dongle, 0, 0x0020, 1, (value) => value[0] === 0x5A);
+
+    await t.controller.writeMemory(0x0020, Buffer.from([0x5A]));
+
+    assert.deepStrictEqual(await changed, Buffer.from([0x5A]));
+  }],
+
+  ['calls a fault code watcher when the controller faults', async (t) => {
+    let changed = watchFor(t.dongle, 1, 0x0038, 1, (value) => value[0] === 7);
+
+    t.cs1108.set('faultCode', 7);
+
+    assert.deepStrictEqual(await changed, Buffer.from([7]));
+  }],
+
+  ['reads the EEPROM image from bank 3', async (t) => {
+    assert.deepStrictEqual(await t.controller.readEeprom(), EEPROM_IMAGE);
+    assert.deepStrictEqual(await t.controller.readMemory(0x0310, 4), EEPROM_IMAGE.slice(0x10, 0x14));
+  }],
+
+  ['refuses addresses outside RAM and EEPROM', async (t) => {
+    let err = await t.controller.readMemory(0x0100, 1).then(() => null, (e) => e);
+
+    assert.ok(err, 'expected the read to fail');
+    assert.strictEqual(err.code, 2);
+  }],
+
+  ['reports the simulated identity', async (t) => {
+    assert.deepStrictEqual(await t.dongle.reportSlaveId(CONTROLLER_ID), IDENTITY);
+  }],
+
+  ['disconnects', async (t) => {
+    await t.dongle.disconnect();
+
+    assert.ok(!t.dongle.isConnected());
+    assert.strictEqual(t.peripheral.state, 'disconnected');
+  }],
+];
+
+
+async function run() {
+
+  let cs1108 = new Cs1108Simulator(Object.assign({ eeprom: EEPROM_IMAGE }, IDENTITY));
+  let peripheral = new SimulatedPeripheral({ devices: { [CONTROLLER_ID]: cs1108 } });
+  let dongle = new Dongle(peripheral, { verbose: false, defaultTimeout: 2000 });
+  let failed = 0;
+
+  if (args.verbose) {
+    peripheral.on('request', (unit, pdu) => console.log(label('Request: '), unit, pdu));
+  }
+
+  let t = {
+    peripheral: peripheral,
+    cs1108: cs1108,
+    dongle: dongle,
+    controller: new MotorController(CONTROLLER_ID, dongle),
+  };
+
+  for (let [name, check] of checks) {
+    try {
+      await check(t);
+      console.log(chalk.green('  ok  '), name);
+    } catch (err) {
+      failed++;
+      console.log(error('  FAIL'), name + ': ' + err.message);
+    }
+  }
+
+  if (dongle.isConnected()) {
+    await dongle.disconnect().catch(() => {});
+  }
+
+  return failed;
+}
+
+
+run()
+.then((failed) => {
+
+  if (failed) {
+    console.error(error(failed + ' of ' + checks.length + ' checks failed'));
+  } else {
+    console.log(chalk.green('All ' + checks.length + ' checks passed'));
+  }
+
+  process.exit(failed ? 1 : 0);
+})
+.catch((err) => {
+  console.error(error(err.message));
+  process.exit(1);
+});
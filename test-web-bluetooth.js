@@ -0,0 +1,414 @@
+/**
+ * Checks the Web Bluetooth transport without a browser or a dongle
+ *
+ * Puts a stand-in navigator.bluetooth in front of a SimulatedPeripheral,
+ * then drives a Dongle through WebBluetoothTransport: choosing the device,
+ * connecting, reading the dongle information, commands, memory reads,
+ * notifications and disconnecting.  Exits with 0 if every check passes.
+ *
+ *   node test-web-bluetooth.js
+ *
+ * --verbose shows each request the simulated dongle receives
+ *
+ */
+
+const assert = require('assert');
+
+// include class that allows us to emit events
+const EventEmitter = require('events').EventEmitter;
+
+// An object type that represents the remote (periperal) Bluetooth device
+const { Dongle } = require('./lib/Dongle');
+
+// The transport under test
+const WebBluetoothTransport = require('./lib/WebBluetoothTransport');
+
+// A simulated dongle, with a simulated CS1108 behind it
+const { SimulatedPeripheral } = require('./lib/SimulatedPeripheral');
+
+// An object type that represents a single motor controller device
+const MotorController = require('./lib/MotorController');
+
+// command-line options will be available in the args variable
+let args = require('minimist')(process.argv.slice(2));
+
+// For pretty printing
+const chalk = require('chalk');
+const error = chalk.bold.red;
+const label = chalk.blue;
+
+const CONTROLLER_ID = 1;
+
+// Browsers refuse to read this one (the serial number string)
+const BLOCKED_UUID = '2a25';
+
+
+// Converts a UUID from the simulator's form into the one Web Bluetooth uses
+function webUuid(uuid) {
+
+  if (uuid.length === 4) {
+    uuid = '0000' + uuid + '00001000800000805f9b34fb';
+  }
+
+  return uuid.slice(0, 8) + '-' + uuid.slice(8, 12) + '-' + uuid.slice(12, 16) + '-' +
+    uuid.slice(16, 20) + '-' + uuid.slice(20);
+}
+
+// Makes an error like the DOMExceptions browsers reject with
+function domError(name, message) {
+
+  let err = new Error(message);
+
+  err.name = name;
+
+  return err;
+}
+
+// Copies a Buffer into a DataView, as Web Bluetooth returns values
+function toDataView(buffer) {
+  return new DataView(new Uint8Array(buffer).buffer);
+}
+
+
+// The addEventListener() side of an EventTarget
+class MockTarget {
+
+  constructor() {
+    this.emitter = new EventEmitter();
+  }
+
+  addEventListener(type, listener) {
+    this.emitter.on(type, listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.emitter.removeListener(type, listener);
+  }
+
+  dispatch(type, event) {
+    this.emitter.emit(type, Object.assign({ type: type, target: this }, event));
+  }
+}
+
+
+// A BluetoothRemoteGATTCharacteristic over a simulated characteristic
+class MockCharacteristic extends MockTarget {
+
+  constructor(characteristic) {
+
+    super();
+
+    this.characteristic = characteristic;
+    this.uuid = webUuid(characteristic.uuid);
+    this.value = null;
+
+    this.onData = (data) => {
+      this.value = toDataView(data);
+      this.dispatch('characteristicvaluechanged');
+    };
+  }
+
+  readValue() {
+
+    if (this.characteristic.uuid === BLOCKED_UUID) {
+      return Promise.reject(domError('SecurityError', 'readValue() called on blocklisted UUID'));
+    }
+
+    return new Promise((resolve, reject) => this.characteristic.read((err, data) => {
+      if (err) {
+        reject(err);
+      } else {
+        this.value = toDataView(data);
+        resolve(this.value);
+      }
+    }));
+  }
+
+  writeValueWithResponse(data) {
+
+    assert.ok(ArrayBuffer.isView(data) || data instanceof ArrayBuffer, 'writes take a BufferSource');
+
+    return new Promise((resolve) => this.characteristic.write(Buffer.from(data), false, resolve));
+  }
+
+  startNotifications() {
+
+    this.characteristic.removeListener('data', this.onData);
+    this.characteristic.on('data', this.onData);
+
+    return new Promise((resolve) => this.characteristic.subscribe(() => resolve(this)));
+  }
+
+  stopNotifications() {
+
+    this.characteristic.removeListener('data', this.onData);
+
+    return new Promise((resolve) => this.characteristic.unsubscribe(() => resolve(this)));
+  }
+}
+
+
+// A BluetoothRemoteGATTServer over a simulated peripheral
+class MockServer {
+
+  constructor(device) {
+
+    this.device = device;
+    this.connected = false;
+  }
+
+  connect() {
+
+    let peripheral = this.device.peripheral;
+
+    return new Promise((resolve) => peripheral.connect(() => {
+      this.connected = true;
+      resolve(this);
+    }));
+  }
+
+  disconnect() {
+    this.device.peripheral.disconnect();
+  }
+
+  getPrimaryService(uuid) {
+
+    if (!this.connected) {
+      return Promise.reject(domError('NetworkError', 'GATT Server is disconnected'));
+    }
+
+    let service = this.device.peripheral.services.find((s) => webUuid(s.uuid) === uuid);
+
+    if (!service) {
+      return Promise.reject(domError('NotFoundError', 'No Services matching UUID ' + uuid + ' found in Device.'));
+    }
+
+    if (this.device.allowed.indexOf(uuid) < 0) {
+      return Promise.reject(domError('SecurityError', 'Origin is not allowed to access the service ' + uuid));
+    }
+
+    let characteristics = service.characteristics.map((characteristic) => new MockCharacteristic(characteristic));
+
+    return Promise.resolve({
+      uuid: uuid,
+      getCharacteristics: () => Promise.resolve(characteristics),
+    });
+  }
+}
+
+
+// A BluetoothDevice over a simulated peripheral
+class MockDevice extends MockTarget {
+
+  constructor(peripheral, allowed) {
+
+    super();
+
+    this.peripheral = peripheral;
+    this.id = 'mock-' + peripheral.id;
+    this.name = peripheral.advertisement.localName;
+
+    // the services that requestDevice() was given access to
+    this.allowed = allowed;
+
+    this.gatt = new MockServer(this);
+
+    peripheral.on('disconnect', () => {
+      this.gatt.connected = false;
+      this.dispatch('gattserverdisconnected');
+    });
+  }
+}
+
+
+// navigator.bluetooth, offering one simulated dongle
+class MockBluetooth {
+
+  constructor(peripheral) {
+
+    this.peripheral = peripheral;
+
+    // the options of each requestDevice() call
+    this.requests = [];
+  }
+
+  requestDevice(options) {
+
+    this.requests.push(options);
+
+    let advertised = webUuid(this.peripheral.advertisement.serviceUuids[0]);
+
+    let matched = options.filters.some((filter) =>
+      (filter.services || []).indexOf(advertised) >= 0 &&
+      (!filter.namePrefix || this.peripheral.advertisement.localName.startsWith(filter.namePrefix)));
+
+    if (!matched) {
+      return Promise.reject(domError('NotFoundError', 'User cancelled the requestDevice() chooser.'));
+    }
+
+    let allowed = [].concat.apply(options.optionalServices || [],
+      options.filters.map((filter) => filter.services || []));
+
+    return Promise.resolve(new MockDevice(this.peripheral, allowed));
+  }
+}
+
+
+// Resolves with the arguments of the next emission of an event
+function nextEvent(emitter, event) {
+  return new Promise((resolve) => emitter.once(event, function() {
+    resolve(Array.from(arguments));
+  }));
+}
+
+
+let checks = [
+
+  ['chooses the device through navigator.bluetooth', async (t) => {
+    t.transport = await WebBluetoothTransport.request();
+
+    let options = t.bluetooth.requests[0];
+
+    assert.deepStrictEqual(options.filters, [{ services: [webUuid(t.peripheral.advertisement.serviceUuids[0])] }]);
+    assert.ok(options.optionalServices.indexOf(webUuid('180a')) >= 0);
+    assert.strictEqual(t.transport.address, 'mock-' + t.peripheral.id);
+  }],
+
+  ['refuses a name prefix that does not match', async (t) => {
+    let err = await WebBluetoothTransport.request({ bluetooth: t.bluetooth, namePrefix: 'Nope' })
+      .then(() => null, (e) => e);
+
+    assert.ok(err, 'expected request() to fail');
+    assert.strictEqual(err.name, 'NotFoundError');
+  }],
+
+  ['connects', async (t) => {
+    t.dongle = new Dongle(t.transport, { verbose: false, defaultTimeout: 2000 });
+
+    await t.dongle.connect();
+
+    assert.ok(t.dongle.isConnected());
+    assert.ok(t.transport.isConnected());
+  }],
+
+  ['reads the dongle information', async (t) => {
+    let info = await t.dongle.readDongleInfo();
+
+    assert.strictEqual(info.modelNumber, 'CS1816');
+    assert.strictEqual(info.manufacturerName, 'Control Solutions LLC');
+    assert.strictEqual(info.softwareRevision, '1.8');
+
+    // blocklisted, so it reads as empty instead of failing
+    assert.strictEqual(info.serialNumber, '');
+  }],
+
+  ['sends commands', async (t) => {
+    await t.dongle.keyswitch(true);
+    assert.strictEqual(t.peripheral.keyswitchState, true);
+
+    await t.dongle.keyswitch(false);
+    assert.strictEqual(t.peripheral.keyswitchState, false);
+  }],
+
+  ['reads and writes controller memory', async (t) => {
+    let controller = new MotorController(CONTROLLER_ID, t.dongle);
+    let data = Buffer.from([1, 2, 3, 4]);
+
+    await controller.writeMemory(0x0300, data);
+    assert.deepStrictEqual(await controller.readMemory(0x0300, 4), data);
+  }],
+
+  ['passes on watcher notifications', async (t) => {
+    let changed = new Promise((resolve) => {
+
+      // the first notification, on subscribing, has the value from before
+      t.dongle.watch(0, CONTROLLER_ID, 0x0038, 1, (value) => {
+        if (value[0] === 9) {
+          resolve(value);
+        }
+      })
+      .then(() => t.peripheral.device(CONTROLLER_ID).set('faultCode', 9));
+    });
+
+    assert.deepStrictEqual(await changed, Buffer.from([9]));
+  }],
+
+  ['passes on fault notifications', async (t) => {
+    let fault = nextEvent(t.dongle, 'fault');
+
+    t.peripheral.setFault(5);
+
+    let [data] = await fault;
+
+    assert.deepStrictEqual(data, Buffer.from([5]));
+  }],
+
+  ['disconnects', async (t) => {
+    let dropped = nextEvent(t.transport, 'disconnect');
+
+    await t.dongle.disconnect();
+    await dropped;
+
+    assert.ok(!t.transport.isConnected());
+    assert.strictEqual(t.peripheral.state, 'disconnected');
+  }],
+];
+
+
+async function run() {
+
+  let peripheral = new SimulatedPeripheral();
+  let bluetooth = new MockBluetooth(peripheral);
+  let failed = 0;
+
+  // newer versions of node have a navigator of their own
+  Object.defineProperty(global, 'navigator', {
+    value: { bluetooth: bluetooth },
+    configurable: true,
+    writable: true,
+  });
+
+  if (args.verbose) {
+    peripheral.on('request', (unit, pdu) => console.log(label('Request: '), unit, pdu));
+  }
+
+  let t = {
+    peripheral: peripheral,
+    bluetooth: bluetooth,
+    transport: null,
+    dongle: null,
+  };
+
+  for (let [name, check] of checks) {
+    try {
+      await check(t);
+      console.log(chalk.green('  ok  '), name);
+    } catch (err) {
+      failed++;
+      console.log(error('  FAIL'), name + ': ' + err.message);
+    }
+  }
+
+  if (t.dongle && t.dongle.isConnected()) {
+    await t.dongle.disconnect().catch(() => {});
+  }
+
+  return failed;
+}
+
+
+run()
+.then((failed) => {
+
+  if (failed) {
+    console.error(error(failed + ' of ' + checks.length + ' checks failed'));
+  } else {
+    console.log(chalk.green('All ' + checks.length + ' checks passed'));
+  }
+
+  process.exit(failed ? 1 : 0);
+})
+.catch((err) => {
+  console.error(error(err.message));
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Displays a protocol trace recorded by ProtocolTrace (eg with demo --trace)
+ *
+ * Each frame is shown on one line, with its time relative to the start of
+ * the trace.  Options select which frames are shown.
+ *
+ * Use -h option for help
+ *
+ */
+
+const ProtocolTrace = require('./lib/ProtocolTrace');
+
+// command-line options will be available in the args variable
+let args = require('minimist')(process.argv.slice(2), {
+  string: ['dir', 'fc', 'op'],
+  boolean: ['h', 'help', 'errors', 'raw'],
+});
+
+// For pretty printing
+const chalk = require('chalk');
+const error = chalk.bold.red;
+const label = chalk.blue;
+
+
+if (args.h || args.help || args._.length < 1) {
+
+  console.info('\r-------- CS1816 ----------');
+  console.info('Protocol Trace Viewer Version ' + require('./package.json').version + '\r');
+  console.info('\rCommand format:\r');
+  console.info(require('path').basename(__filename, '.js') +
+    ' <options> <trace file>\r');
+
+  console.info(chalk.underline('\rOptions\r'));
+  console.info('    -h           This help output\r');
+  console.info('    --dir        Only frames going one way [tx|rx|status|fault]\r');
+  console.info('    --unit       Only frames for this unit ID\r');
+  console.info('    --fc         Only this function code (number or name, eg readMemory)\r');
+  console.info('    --op         Only this dongle command (number or name, eg watch)\r');
+  console.info('    --address    Only frames that include this address\r');
+  console.info('    --slot       Only notifications from this watcher slot (255 for the super watcher)\r');
+  console.info('    --slow       Only responses that took at least this many milliseconds\r');
+  console.info('    --errors     Only exceptions, failed statuses and unanswered requests\r');
+  console.info('    --raw        Show the raw bytes of each frame\r');
+
+  process.exit(0);
+}
+
+// Converts a number or a name from a table into the number
+function lookup(value, table) {
+
+  let number = Number(value);
+
+  if (!isNaN(number)) {
+    return number;
+  }
+
+  let key = Object.keys(table).find((key) => table[key] === value);
+
+  if (undefined === key) {
+    console.error(error('Unknown name: ' + value));
+    process.exit(1);
+  }
+
+  return Number(key);
+}
+
+// Tells whether a frame matches the command line options
+function matches(frame, answered) {
+
+  if (args.dir && frame.dir !== args.dir) {
+    return false;
+  }
+
+  if (undefined !== args.unit && frame.unit !== Number(args.unit)) {
+    return false;
+  }
+
+  if (undefined !== args.fc && frame.fc !== lookup(args.fc, ProtocolTrace.FUNCTIONS)) {
+    return false;
+  }
+
+  if (undefined !== args.op && frame.opcode !== lookup(args.op, ProtocolTrace.COMMANDS)) {
+    return false;
+  }
+
+  if (undefined !== args.address) {
+    let address = Number(args.address);
+    let length = frame.length || 1;
+
+    if (undefined === frame.address || address < frame.address || address >= frame.address + length) {
+      return false;
+    }
+  }
+
+  if (undefined !== args.slot && frame.slot !== Number(args.slot)) {
+    return false;
+  }
+
+  if (undefined !== args.slow && !(frame.latency >= Number(args.slow))) {
+    return false;
+  }
+
+  if (args.errors) {
+    let failed = undefined !== frame.exception || frame.status > 0 || !!frame.error ||
+      ('tx' === frame.dir && !answered[frame.seq]);
+
+    if (!failed) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+
+ProtocolTrace.load(args._[0])
+.then((frames) => {
+
+  let start = (frames.length > 0) ? frames[0].time : 0;
+
+  // the requests that got a response
+  let answered = {};
+  frames.forEach((frame) => {
+    if (frame.request) {
+      answered[frame.request] = true;
+    }
+  });
+
+  let shown = 0;
+
+  frames.forEach((frame) => {
+
+    if (!matches(frame, answered)) {
+      return;
+    }
+
+    let line = ProtocolTrace.format(frame, start);
+
+    if (undefined !== frame.exception || frame.error) {
+      line = error(line);
+    } else if ('tx' === frame.dir) {
+      line = chalk.green(line);
+    } else if ('rx' === frame.dir) {
+      line = chalk.cyan(line);
+    }
+
+    console.log(line);
+
+    if (args.raw) {
+      console.log(label('             raw: ') + frame.raw);
+    }
+
+    shown++;
+  });
+
+  console.log(label(shown + ' of ' + frames.length + ' frames'));
+})
+.catch((err) => {
+  console.error(error('Unable to read the trace:'), err.message);
+  process.exit(1);
+});
@@ -45,7 +45,10 @@ const _cliProgress = require('cli-progress');
 var args = require('minimist')(process.argv.slice(2));
 
 // An object type that represents the remote (periperal) Bluetooth device
-const { Dongle, serviceId } = require('./lib/Dongle');
+const { Dongle } = require('./lib/Dongle');
+
+// Finds the dongle to update
+const DongleScanner = require('./lib/DongleScanner');
 
 const Bootloader = require('@csllc/mb-loader');
 
@@ -94,7 +97,9 @@ if (args.h) {
   console.info(chalk.underline('\rOptions\r'));
   console.info('    -h           This help output\r');
   console.info('    -v           Verbose output (for debugging)\r');
+  console.info('    -l           List the dongles in range\r');
   console.info('    --port       MAC address of device to be updated\r');
+  console.info('    --scantime   How long to look for it, in ms (default: 5000)\r');
 
   console.info(chalk.underline('\rResult\r'));
   console.info('Return value is 0 if successful\r');
@@ -110,6 +115,12 @@ function parseArguments() {
 
   // Parse the arguments
   filename = args._[0] || '../dist/ble_dongle.X.production.hex';
+
+  // listing doesn't need a MAC address
+  if (args.l) {
+    return;
+  }
+
   mac = /^[a-fA-F0-9:]{17}|[a-fA-F0-9]{12}$/.exec(args.port);
 
   if (Array.isArray(mac)) {
@@ -295,78 +306,80 @@ function update(dongle, file) {
 
 }
 
-// Wait for the bluetooth hardware to become ready
-ble.once('stateChange', function(state) {
-
-  if (state === 'poweredOff') {
-    console.error(error('Bluetooth must be turned on before you run this example'));
-    process.exit(1);
-  } else if (state === 'poweredOn') {
+// Connects to the dongle and updates it
+function connectAndUpdate(peripheral) {
 
-    // Catch any 'discover' events which are emitted when a new dongle is detected
-    ble.on('discover', function(peripheral) {
+  console.log(label('Connecting... '));
 
-      // Check for the list ports option
-      if (args.l) {
+  // Create an object to manage the discovered peripheral
+  var dongle = new Dongle(peripheral, {
+    verbose: false,
+  });
 
-        console.log(label('Found ') + peripheral.advertisement.localName, label('MAC: ') + peripheral.address);
-      } else {
-        if (peripheral.address.toUpperCase() === mac.toUpperCase()) {
 
-          ble.stopScanning();
+  dongle.on('status', function(slot, status) {
+    console.log('STATUS: ', slot, status);
+  });
 
-          console.log(label('Connecting... '));
+  dongle.connect()
+    .then(() => dongle.readDongleInfo())
 
-          // Create an object to manage the discovered peripheral
-          var dongle = new Dongle(peripheral, {
-            verbose: false,
-          });
+    .then(info => {
+      console.log(label('Connected.'));
 
+      console.log(label('Dongle'));
+      console.log(label('    Model.       :'), info.modelNumber);
+      console.log(label('    Serial Number:'), info.serialNumber);
+      console.log(label('    Fw Revision  :'), info.firmwareRevision);
+      console.log(label('    Hw Revision  :'), info.hardwareRevision);
+      console.log(label('    Sw Revision  :'), info.softwareRevision);
+      console.log(label('    Manufacturer :'), info.manufacturerName);
 
-          dongle.on('status', function(slot, status) {
-            console.log('STATUS: ', slot, status);
-          });
+      // do the update
+      return update(dongle, filename);
+    })
 
-          dongle.connect()
-            .then(() => dongle.readDongleInfo())
+    .catch(err => {
+      console.error(error('Error connecting to the dongle:'), err);
+      process.exit(2);
+    });
+}
 
-            .then(info => {
-              console.log(label('Connected.'));
+// Check for the list ports option
+if (args.l) {
 
-              console.log(label('Dongle'));
-              console.log(label('    Model.       :'), info.modelNumber);
-              console.log(label('    Serial Number:'), info.serialNumber);
-              console.log(label('    Fw Revision  :'), info.firmwareRevision);
-              console.log(label('    Hw Revision  :'), info.hardwareRevision);
-              console.log(label('    Sw Revision  :'), info.softwareRevision);
-              console.log(label('    Manufacturer :'), info.manufacturerName);
+  let scanner = new DongleScanner(ble, { timeout: args.scantime });
 
-              // do the update
-              return update(dongle, filename);
-            })
+  scanner.on('scanStart', () => console.log(label('Scanning...')));
 
-            .catch(err => {
-              console.error(error('Error connecting to the dongle:'), err);
-              process.exit(2);
-            });
-        } else {
-          console.log(label('Found ') + peripheral.advertisement.localName, label('MAC: ') + peripheral.address + ' but looking for ' + mac);
+  scanner.scan()
+    .then((candidates) => {
+      candidates.forEach((candidate) => console.log(label('Found ') + DongleScanner.describe(candidate)));
+      process.exit(0);
+    })
+    .catch(err => {
+      console.error(error('Error scanning:'), err.message);
+      process.exit(2);
+    });
 
+} else {
 
-        }
-      }
-    });
+  let scanner = new DongleScanner(ble, { mac: mac, timeout: args.scantime });
 
-    // Capture the event that is emitted when bluetooth goes into scanning mode
-    ble.on('scanStart', () => console.log(label('Scanning...')));
+  scanner.on('scanStart', () => console.log(label('Scanning...')));
 
-    // Last, put the bluetooth hardware into scan mode - which will cause
-    // 'discover' events for each detected dongle.
-    ble.startScanning([serviceId]);
+  scanner.on('ignored', (candidate) => {
+    console.log(label('Found ') + DongleScanner.describe(candidate) + ' but looking for ' + mac);
+  });
 
-  }
+  scanner.find()
+    .then((candidate) => connectAndUpdate(candidate.peripheral))
+    .catch(err => {
+      console.error(error('Error finding the dongle:'), err.message);
+      process.exit(2);
+    });
+}
 
-});
 
 /*
 else {